@@ -11,16 +11,30 @@
  * ----------------------
  * 1. Imports three cursor modules (Fluid, Ballpit, MetaBalls)
  * 2. Creates a global cursorApp object for unified cursor management
- * 3. Integrates with Squidly Apps API for multi-user features
- * 4. Handles cursor switching and synchronization via Firebase
- * 5. Listens for cursor updates from all users (mouse + eye gaze)
+ * 3. Registers the built-in effects with cursorApp.registerEffect()
+ * 4. Integrates with Squidly Apps API for multi-user features
+ * 5. Handles cursor switching and synchronization via Firebase
+ *    (including shared effect settings under settings/<effectId>)
+ * 6. Listens for cursor updates from all users (mouse + eye gaze)
  * 
  * KEY SQUIDLY API FUNCTIONS USED:
  * --------------------------------
  * - firebaseSet(path, value): Sets a value in Firebase (broadcasts to all users)
+ *   Paths used: currentType, isMuted, isPaused, settings/<effectId>/<KEY>,
+ *   permissions/modes/<control>, permissions/request,
+ *   identity/palette, identity/users/<user>, identity/showLabels, targetPolicy,
+ *   turns, switchAccess/<user>, switchPointer/<user>, switchSelect/<user>,
+ *   touchPointer/<user>-touch-<n>, touchSelect/<user>
  * - firebaseOnValue(path, callback): Listens for Firebase value changes
  * - addCursorListener(callback): Receives cursor positions from all users
  * - setIcon(x, y, options, callback): Creates an interactive grid icon button
+ *   Row 0: (1,0) Change Cursor, (2,0) Sound, (3,0) Pause, (4,0) Settings.
+ *   While the settings panel is open it takes over (1,0)-(4,0).
+ *   Row 1: effect picker, one icon per registered effect.
+ *   Rows 2-3 (host only): permission modes, "ask host" approve/deny and
+ *   the input priority policy (3,3).
+ *   Row 4 (host only): turn taking on/off, next turn, turn length.
+ *   Row 5 (host only): switch access mode, one icon per participant.
  * 
  * CURSOR TYPES AVAILABLE:
  * -----------------------
@@ -28,6 +42,9 @@
  * - fluid: Realistic fluid dynamics with WebGL shaders
  * - metaballs: Organic blob effects with smooth metaball rendering
  * 
+ * Additional effects can be shipped as separate modules and registered at
+ * runtime with window.cursorApp.registerEffect(id, factory, defaults).
+ * 
  * @author Po-Yao Huang
  * @version 1.0.1
  * @see squidly-apps-api.js for API implementation details
@@ -35,26 +52,26 @@
 
 // Import all three cursor effect modules
 import { WebGLFluidCursor, WebGLBallpitCursor, WebGLMetaBallsCursor } from './index.js';
+import { sanitizeSettings, getSettingDefaults } from './effect-settings.js';
+import SettingsPanel from './settings-panel.js';
+import { TRANSITION_STYLES, runTransition } from './effect-transition.js';
+import EventEmitter from './event-emitter.js';
+import Permissions, { MODE_LABELS } from './permissions.js';
+import ParticipantIdentity from './participant-identity.js';
+import { TARGET_POLICIES, TARGET_POLICY_LABELS } from './input-manager.js';
+import TurnTaking, { TURN_INTERVALS } from './turn-taking.js';
+import TurnBanner from './turn-banner.js';
+import SwitchInput from './switch-input.js';
 
 /**
- * Mapping of cursor type identifiers to internal method names
- * 
- * This map is used to translate Firebase cursor type values (which are shared
- * across all users) to the appropriate internal switching methods. When a user
- * changes the cursor type, the type string is stored in Firebase, and all other
- * users receive that value and look it up in this map to call the correct method.
- * 
- * @constant {Object.<string, string>}
+ * Cursor type shown when the app first loads
+ * @constant {string}
  */
-const CURSOR_TYPE_METHODS = {
-  "ballpit": "_switchToBallpit",
-  "fluid": "_switchToFluid",
-  "metaballs": "_switchToMetaBalls"
-};
+const DEFAULT_CURSOR_TYPE = "ballpit";
 
 // Initialize the default cursor type in Firebase
 // This sets the initial state that all users will see when the app loads
-SquidlyAPI.firebaseSet("currentType", "ballpit");
+SquidlyAPI.firebaseSet("currentType", DEFAULT_CURSOR_TYPE);
 
 
 /**
@@ -68,6 +85,16 @@ SquidlyAPI.firebaseSet("currentType", "ballpit");
  * 
  * PUBLIC METHODS (for external use):
  * -----------------------------------
+ * - registerEffect(id, factory, defaults, options): Add a cursor effect
+ * - getEffectIds(): List registered effect ids in registration order
+ * - getEffectSettings(id): Current shared settings of an effect
+ * - setEffectSettings(id, partial): Change shared settings for everyone
+ * - resetEffectSettings(id): Restore an effect's default settings for everyone
+ * - updateEffectPicker(): Redraw the effect picker row
+ * - setTransition(style, duration): Choose how effects hand over when switching
+ * - on(event, listener) / off(event, listener): Subscribe to app events
+ *   ("switch", "switcherror", "reconcile")
+ * - switchTo(type): Request switch to any registered cursor effect
  * - switchToBallpit(): Request switch to ballpit cursor
  * - switchToFluid(): Request switch to fluid cursor
  * - switchToMetaBalls(): Request switch to metaballs cursor
@@ -75,22 +102,20 @@ SquidlyAPI.firebaseSet("currentType", "ballpit");
  * 
  * PRIVATE METHODS (called by Squidly framework):
  * -----------------------------------------------
- * - _switchToBallpit(): Actually switch to ballpit (called via Firebase sync)
- * - _switchToFluid(): Actually switch to fluid (called via Firebase sync)
- * - _switchToMetaBalls(): Actually switch to metaballs (called via Firebase sync)
- * - destroyCurrentCursor(): Clean up current cursor before switching
+ * - _switchTo(type): Queue a switch to a registered effect (called via Firebase sync)
+ * - destroyCurrentCursor(): Tear down the current cursor without a replacement
  * - requestCursorSwitch(type): Send cursor switch request to Firebase
  * - setAppType(type): Update current type and sync with parent
  * 
  * HOW IT WORKS:
  * -------------
  * 1. User clicks the grid icon button
- * 2. switchToBallpit/Fluid/MetaBalls() is called
+ * 2. switchTo(type) (or switchToBallpit/Fluid/MetaBalls()) is called
  * 3. This calls requestCursorSwitch() which updates Firebase
  * 4. Firebase sends the update to ALL users (including the one who clicked)
  * 5. firebaseOnValue callback receives the update
- * 6. The callback looks up the method in CURSOR_TYPE_METHODS
- * 7. The _switchToXXX() method is called to actually change the cursor
+ * 6. The callback looks up the effect in the registry
+ * 7. _switchTo(type) is called to actually change the cursor
  * 8. All users now see the same cursor type
  * 
  * @namespace cursorApp
@@ -109,17 +134,69 @@ window.cursorApp = {
   currentType: null,
   
   /**
-   * Current cursor instance (one of the three cursor types)
-   * @type {WebGLFluidCursor|WebGLBallpitCursor|WebGLMetaBallsCursor|null}
+   * Most recent cursor type received from Firebase
+   * Kept so an effect registered after the update arrives can still be applied
+   * @type {string|null}
+   */
+  requestedType: null,
+  
+  /**
+   * Current cursor instance (created by the active effect's factory)
+   * @type {WebGLFluidCursor|WebGLBallpitCursor|WebGLMetaBallsCursor|Object|null}
    */
   currentCursor: null,
   
   /**
-   * Flag to prevent rapid cursor switching during transitions
-   * When true, switch requests are ignored to prevent race conditions
-   * @type {boolean}
+   * Registered cursor effects, keyed by effect id
+   * 
+   * Populated through registerEffect(). The "Change Cursor" icon, the Firebase
+   * currentType listener and volume handling all read from this registry.
+   * Map preserves insertion order, which is also the cycling order.
+   * 
+   * @type {Map<string, {id: string, factory: Function, defaults: Object, label: string, symbol: string, handlesLocalMouse: boolean, settingsSchema: Object, settings: Object}>}
+   */
+  effects: new Map(),
+  
+  /**
+   * Effect ids whose settings/<effectId> Firebase path is already watched
+   * @type {Set<string>}
+   */
+  _watchedSettings: new Set(),
+  
+  /**
+   * How the outgoing effect hands over to the incoming one
+   * style is a key of TRANSITION_STYLES (effect-transition.js):
+   * "none", "fade", "dissolve" or "zoom"
+   * @type {{style: string, duration: number}}
+   */
+  transition: { style: "fade", duration: 600 },
+  
+  /**
+   * Tail of the serialised switch queue
+   * Every switch runs after the previous one has finished, so overlapping
+   * Firebase updates can never interleave two switches
+   * @type {Promise}
+   */
+  _switchQueue: Promise.resolve(),
+  
+  /**
+   * Most recent type passed to _switchTo(); queued switches to any other type
+   * are skipped, so the queue always converges on the latest request
+   * @type {string|null}
    */
-  switching: false,
+  _targetType: null,
+  
+  /**
+   * Number of switches queued or running
+   * @type {number}
+   */
+  _pendingSwitches: 0,
+  
+  /**
+   * App event emitter (see on()/off())
+   * @type {EventEmitter}
+   */
+  events: new EventEmitter(),
   
   /**
    * Flag to prevent infinite message loops when syncing from Firebase
@@ -129,6 +206,317 @@ window.cursorApp = {
    */
   syncingFromParent: false,
   
+  /**
+   * Grid-icon settings panel for the active effect (created on DOMContentLoaded)
+   * @type {SettingsPanel|null}
+   */
+  settingsPanel: null,
+  
+  /**
+   * Role-based permissions for the shared controls (created on DOMContentLoaded)
+   * @type {Permissions|null}
+   */
+  permissions: null,
+  
+  /**
+   * Per-user colours and names shared by every effect (created on DOMContentLoaded)
+   * @type {ParticipantIdentity|null}
+   */
+  identity: null,
+  
+  /**
+   * Shared turn-taking state (created on DOMContentLoaded)
+   * @type {TurnTaking|null}
+   */
+  turns: null,
+  
+  /**
+   * Banner showing whose turn it is
+   * @type {TurnBanner}
+   */
+  turnBanner: new TurnBanner(),
+  
+  // ========================
+  // EVENTS
+  // ========================
+  
+  /**
+   * Subscribe to an app event
+   * 
+   * EVENTS:
+   * - "switch"      { type, cursor } - A switch finished and the effect is ready
+   * - "switcherror" { type, error }  - An effect failed to initialise
+   * - "reconcile"   { localType, remoteType, reason } - After all queued switches
+   *   settled, the local effect differs from Firebase currentType. reason is
+   *   "failed" (the requested effect could not start) or "unregistered"
+   *   (no effect with that id is registered here)
+   * 
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Call to unsubscribe
+   * 
+   * @example
+   * window.cursorApp.on("reconcile", ({ localType, remoteType }) => {
+   *   console.warn(`Showing ${localType}, session is on ${remoteType}`);
+   * });
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  on: function(event, listener) {
+    return this.events.on(event, listener);
+  },
+  
+  /**
+   * Remove a listener added with on()
+   * 
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener to remove
+   * @memberof cursorApp
+   * @public
+   */
+  off: function(event, listener) {
+    this.events.off(event, listener);
+  },
+  
+  // ========================
+  // EFFECT REGISTRY
+  // ========================
+  
+  /**
+   * Register a cursor effect
+   * 
+   * The factory is called every time the effect becomes active and must return
+   * a cursor instance (typically `new SomeCursor(options)`). It receives
+   * `{ configOverrides, autoMouseEvents }`, where configOverrides is a fresh
+   * copy of `defaults`. The instance should provide `destroy()` and an
+   * `inputManager`; `setVolume(volume)` and `setIdentity(identity)` are used
+   * when present.
+   * 
+   * Registering an id that already exists replaces the previous entry.
+   * 
+   * @param {string} id - Effect identifier shared through Firebase (e.g. "ballpit")
+   * @param {function(Object): Object} factory - Creates the cursor instance
+   * @param {Object} [defaults={}] - Default configOverrides passed to the factory
+   * @param {Object} [options={}] - Extra effect metadata
+   * @param {string} [options.label] - Human readable name (defaults to id)
+   * @param {string} [options.symbol="change"] - Grid icon symbol for the effect picker
+   * @param {boolean} [options.handlesLocalMouse=false] - True if the effect listens
+   *   to the local mouse itself, so local "-mouse" cursor updates are skipped
+   * @param {Object} [options.settings] - Settings schema (see effect-settings.js)
+   *   listing the config keys shared through Firebase settings/<id>
+   * @returns {Object} cursorApp, for chaining
+   * 
+   * @example
+   * window.cursorApp.registerEffect("sparkles", (opts) => new SparkleCursor(opts), {
+   *   COUNT: 200,
+   * }, { label: "Sparkles" });
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  registerEffect: function(id, factory, defaults = {}, options = {}) {
+    if (!id || typeof factory !== 'function') {
+      console.warn("[cursorApp] registerEffect requires an id and a factory function");
+      return this;
+    }
+
+    this.effects.set(id, {
+      id: id,
+      factory: factory,
+      defaults: Object.assign({}, defaults),
+      label: options.label || id,
+      symbol: options.symbol || "change",
+      handlesLocalMouse: !!options.handlesLocalMouse,
+      settingsSchema: options.settings || {},
+      settings: {},
+    });
+
+    this._watchEffectSettings(id);
+    this.updateEffectPicker();
+
+    // Firebase may already have asked for this effect before its module loaded
+    if (this.requestedType === id && this.currentType !== id) {
+      this._switchTo(id);
+    }
+
+    return this;
+  },
+  
+  /**
+   * Get the ids of all registered effects, in registration order
+   * 
+   * @returns {string[]} Registered effect ids
+   * @memberof cursorApp
+   * @public
+   */
+  getEffectIds: function() {
+    return Array.from(this.effects.keys());
+  },
+  
+  // ========================
+  // EFFECT PICKER
+  // ========================
+  
+  /**
+   * Grid row holding the effect picker icons
+   * @type {number}
+   */
+  effectPickerRow: 1,
+  
+  /**
+   * Whether the effect picker has been drawn (set once the DOM is ready)
+   * @type {boolean}
+   */
+  effectPickerShown: false,
+  
+  /**
+   * Redraw the effect picker: one grid icon per registered effect
+   * 
+   * Each icon shows the effect's label and is marked active while that effect
+   * is running. Selecting an icon switches straight to the effect through
+   * requestCursorSwitch(), instead of cycling with "Change Cursor".
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  updateEffectPicker: function() {
+    if (!this.effectPickerShown || typeof SquidlyAPI.setIcon === 'undefined') return;
+
+    this.getEffectIds().forEach((id, index) => {
+      const effect = this.effects.get(id);
+      const options = {
+        symbol: effect.symbol,
+        displayValue: effect.label,
+        type: "action",
+        active: id === this.currentType,
+      };
+      SquidlyAPI.setIcon(
+        index,
+        this.effectPickerRow,
+        this.permissions ? this.permissions.iconOptions("effect", options) : options,
+        () => this.permissions
+          ? this.permissions.perform("effect", id, `Switch to ${effect.label}`)
+          : this.requestCursorSwitch(id)
+      );
+    });
+  },
+  
+  // ========================
+  // SHARED EFFECT SETTINGS
+  // ========================
+  // Each effect's tunable config lives in Firebase under settings/<effectId>,
+  // one child per config key. Like cursor switching, changes are only written
+  // to Firebase; every client (including the sender) applies them from the
+  // firebaseOnValue callback, after validating them against the effect's schema.
+  
+  /**
+   * Get the settings an effect currently runs with
+   * 
+   * Combines the schema defaults, the registered defaults and the shared
+   * values from Firebase, limited to the keys in the effect's schema.
+   * 
+   * @param {string} id - Registered effect id
+   * @returns {Object} Map of config key → value (empty for unknown effects)
+   * @memberof cursorApp
+   * @public
+   */
+  getEffectSettings: function(id) {
+    const effect = this.effects.get(id);
+    if (!effect) return {};
+
+    const schema = effect.settingsSchema;
+    const values = getSettingDefaults(schema);
+    Object.keys(schema).forEach((key) => {
+      if (effect.defaults[key] !== undefined) values[key] = effect.defaults[key];
+    });
+    return Object.assign(values, effect.settings);
+  },
+  
+  /**
+   * Change shared settings of an effect for everyone in the session
+   * 
+   * Values are validated and clamped before they are written; keys that are
+   * not in the effect's schema are ignored.
+   * 
+   * @param {string} id - Registered effect id
+   * @param {Object} partial - Config keys to change
+   * 
+   * @example
+   * window.cursorApp.setEffectSettings("ballpit", { GRAVITY: 0.05 });
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  setEffectSettings: function(id, partial) {
+    const effect = this.effects.get(id);
+    if (!effect) {
+      console.warn(`[cursorApp] No effect registered for "${id}"`);
+      return;
+    }
+
+    const values = sanitizeSettings(effect.settingsSchema, partial);
+    Object.keys(values).forEach((key) => {
+      SquidlyAPI.firebaseSet(`settings/${id}/${key}`, values[key]);
+    });
+  },
+  
+  /**
+   * Restore an effect's default settings for everyone in the session
+   * 
+   * @param {string} id - Registered effect id
+   * @memberof cursorApp
+   * @public
+   */
+  resetEffectSettings: function(id) {
+    if (this.effects.has(id)) {
+      SquidlyAPI.firebaseSet(`settings/${id}`, null);
+    }
+  },
+  
+  /**
+   * Start listening to settings/<id> in Firebase (once per effect id)
+   * 
+   * @param {string} id - Registered effect id
+   * @memberof cursorApp
+   * @private
+   */
+  _watchEffectSettings: function(id) {
+    if (this._watchedSettings.has(id)) return;
+    this._watchedSettings.add(id);
+
+    SquidlyAPI.firebaseOnValue(`settings/${id}`, (value) => {
+      this._applyEffectSettings(id, value);
+    });
+  },
+  
+  /**
+   * Store settings received from Firebase and apply them to the running effect
+   * 
+   * Keys removed from Firebase fall back to their defaults.
+   * 
+   * @param {string} id - Registered effect id
+   * @param {Object|null} value - Raw settings/<id> snapshot
+   * @memberof cursorApp
+   * @private
+   */
+  _applyEffectSettings: function(id, value) {
+    const effect = this.effects.get(id);
+    if (!effect) return;
+
+    effect.settings = sanitizeSettings(effect.settingsSchema, value || {});
+
+    const cursor = this.currentCursor;
+    if (this.currentType === id && cursor && typeof cursor.setConfig === 'function') {
+      cursor.setConfig(this.getEffectSettings(id));
+    }
+
+    // Show the new value if the settings panel is open
+    if (this.currentType === id && this.settingsPanel) {
+      this.settingsPanel.refresh();
+    }
+  },
+  
   // ========================
   // HELPER METHODS
   // ========================
@@ -167,7 +555,7 @@ window.cursorApp = {
    * @memberof cursorApp
    */
   requestCursorSwitch: function(cursorType) {
-    if (cursorType) {
+    if (cursorType && this.effects.has(cursorType)) {
       SquidlyAPI.firebaseSet("currentType", cursorType);
     }
   },
@@ -179,6 +567,20 @@ window.cursorApp = {
   // They REQUEST a cursor change by updating Firebase, which then triggers the
   // actual switch via the firebaseOnValue callback
   
+  /**
+   * PUBLIC: Request switch to any registered cursor effect
+   * 
+   * FLOW: switchTo(type) → requestCursorSwitch() → firebaseSet() →
+   *       All users receive update → _switchTo(type)
+   * 
+   * @param {string} type - Registered effect id
+   * @memberof cursorApp
+   * @public
+   */
+  switchTo: function(type) {
+    this.requestCursorSwitch(type);
+  },
+  
   /**
    * PUBLIC: Request switch to ballpit cursor
    * 
@@ -187,7 +589,7 @@ window.cursorApp = {
    * notifies all users (including this one) to switch their cursor.
    * 
    * FLOW: User clicks icon → switchToBallpit() → requestCursorSwitch() →
-   *       firebaseSet() → All users receive update → _switchToBallpit()
+   *       firebaseSet() → All users receive update → _switchTo("ballpit")
    * 
    * @memberof cursorApp
    * @public
@@ -206,7 +608,7 @@ window.cursorApp = {
    * notifies all users (including this one) to switch their cursor.
    * 
    * FLOW: User clicks icon → switchToFluid() → requestCursorSwitch() →
-   *       firebaseSet() → All users receive update → _switchToFluid()
+   *       firebaseSet() → All users receive update → _switchTo("fluid")
    * 
    * @memberof cursorApp
    * @public
@@ -225,7 +627,7 @@ window.cursorApp = {
    * notifies all users (including this one) to switch their cursor.
    * 
    * FLOW: User clicks icon → switchToMetaBalls() → requestCursorSwitch() →
-   *       firebaseSet() → All users receive update → _switchToMetaBalls()
+   *       firebaseSet() → All users receive update → _switchTo("metaballs")
    * 
    * @memberof cursorApp
    * @public
@@ -236,157 +638,198 @@ window.cursorApp = {
     this.requestCursorSwitch("metaballs");
   },
 
+  /**
+   * PUBLIC: Choose the transition used when switching effects
+   * 
+   * @param {string} style - "none", "fade", "dissolve", "zoom" or a style
+   *   added to TRANSITION_STYLES
+   * @param {number} [duration] - Duration in milliseconds (keeps the current one if omitted)
+   * 
+   * @example
+   * window.cursorApp.setTransition("dissolve", 900);
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  setTransition: function(style, duration) {
+    if (!(style in TRANSITION_STYLES)) {
+      console.warn(`[cursorApp] Unknown transition style "${style}"`);
+      return;
+    }
+    this.transition = {
+      style: style,
+      duration: typeof duration === 'number' && duration >= 0 ? duration : this.transition.duration,
+    };
+  },
+
   // ========================
   // PRIVATE SWITCH METHODS
   // ========================
-  // These methods actually perform the cursor switch and are called ONLY by the
-  // firebaseOnValue callback when Firebase notifies us of a cursor type change.
-  // They should NEVER be called directly by user code.
+  // These methods queue and perform the cursor switch. They are called ONLY by
+  // the firebaseOnValue callback when Firebase notifies us of a cursor type
+  // change. They should NEVER be called directly by user code.
   
   /**
-   * PRIVATE: Actually switch to ballpit cursor
+   * PRIVATE: Queue a switch to a registered cursor effect
    * 
-   * This method performs the actual cursor switch. It's called by the
-   * firebaseOnValue callback when ANY user (including this one) changes
-   * the cursor type to ballpit.
+   * Called by the firebaseOnValue callback when ANY user (including this one)
+   * changes the cursor type. Switches are serialised: each one starts after
+   * the previous one has finished. Requests are never dropped, but a queued
+   * switch whose type is no longer the latest request is skipped, so rapid
+   * updates from several users always converge on the latest type.
    * 
-   * PROCESS:
-   * 1. Check if already switching (prevent race conditions)
-   * 2. Destroy the current cursor and clean up resources
-   * 3. Create new WebGLBallpitCursor instance
-   * 4. Update state variables (but DON'T send to Firebase again)
+   * When the queue drains and the local effect still differs from Firebase
+   * currentType, a "reconcile" event is emitted.
    * 
+   * @param {string} type - Registered effect id
+   * @returns {Promise<Object|null>} Resolves once this switch has been handled:
+   *   with the new cursor if it became active, or null if it was superseded
+   *   by a later request or failed
    * @memberof cursorApp
    * @private
    */
-  _switchToBallpit: function() {
-    if (this.switching) return; // Prevent rapid switching
-    this.switching = true;
-    
-    Promise.resolve(this.destroyCurrentCursor()).then(() => {
-      // Create the ballpit cursor with custom configuration
-      this.currentCursor = new WebGLBallpitCursor({
-        configOverrides: {
-          // Using default configuration from ballpit-cursor.js
-          // You can customize: COUNT, MIN_SIZE, MAX_SIZE, GRAVITY, FRICTION, etc.
-          collisionSoundUrl: './sfx/glass-clink.mp3' // Custom collision sound effect
-        },
-        autoMouseEvents: false, // We handle input via addCursorListener instead
-      });
-      
-      // Update state directly without sending to Firebase
-      // (we're already syncing from Firebase, so no need to send back)
-      this.currentType = "ballpit";
-      document.body.setAttribute('app-type', "ballpit");
-      this.switching = false;
-      
-      // Apply current volume setting/mute state to the new cursor
-      this.updateAppVolume();
+  _switchTo: function(type) {
+    if (!this.effects.has(type)) {
+      console.warn(`[cursorApp] No effect registered for "${type}"`);
+      return Promise.resolve(null);
+    }
+
+    this._targetType = type;
+    this._pendingSwitches++;
+
+    const request = this._switchQueue.then(() => {
+      // A later request replaced this one while it was waiting
+      if (type !== this._targetType) return null;
+      if (type === this.currentType) return this.currentCursor;
+      return this._performSwitch(type);
+    });
+
+    this._switchQueue = request.catch(() => null).then(() => {
+      this._pendingSwitches--;
+      if (this._pendingSwitches === 0) this._checkReconciled();
     });
-  },
 
+    return request;
+  },
+  
   /**
-   * PRIVATE: Actually switch to fluid cursor
+   * PRIVATE: Actually switch to a registered cursor effect
    * 
-   * This method performs the actual cursor switch. It's called by the
-   * firebaseOnValue callback when ANY user (including this one) changes
-   * the cursor type to fluid.
+   * Only ever run by the switch queue, one switch at a time.
    * 
    * PROCESS:
-   * 1. Check if already switching (prevent race conditions)
-   * 2. Destroy the current cursor and clean up resources
-   * 3. Create new WebGLFluidCursor instance with custom config
-   * 4. Add initial splash effect to kickstart the simulation
-   * 5. Update state variables (but DON'T send to Firebase again)
+   * 1. Create the new cursor instance through the effect's factory, with the
+   *    shared settings applied on top of the registered defaults. Its canvas
+   *    stays hidden while it initialises underneath the current effect
+   * 2. Update state variables (but DON'T send to Firebase again) and route
+   *    input, volume/mute and pause state to the new cursor
+   * 3. Wait until the new cursor reports ready (init() resolves)
+   * 4. Run the configured transition between the two canvases
+   * 5. Destroy the previous cursor and clean up its resources
+   * 
+   * If the new effect fails to initialise it is removed, the previous effect
+   * stays active and "switcherror" is emitted.
    * 
+   * @param {string} type - Registered effect id
+   * @returns {Promise<Object|null>} The new cursor, or null if it failed
    * @memberof cursorApp
    * @private
    */
-  _switchToFluid: function() {
-    if (this.switching) return; // Prevent rapid switching
-    this.switching = true;
-    
-    Promise.resolve(this.destroyCurrentCursor()).then(() => {
-      // Create the fluid cursor with optimized configuration
-      this.currentCursor = new WebGLFluidCursor({
-        configOverrides: {
-          SPLAT_RADIUS: 0.2,        // Size of fluid splashes
-          SPLAT_FORCE: 6000,        // Force applied by splashes
-          COLOR_UPDATE_SPEED: 5,    // Speed of color transitions
-          DENSITY_DISSIPATION: 0.5, // How quickly density fades
-          VELOCITY_DISSIPATION: 1.5, // How quickly velocity fades
-        },
+  _performSwitch: function(type) {
+    const effect = this.effects.get(type);
+    const previousCursor = this.currentCursor;
+    const previousType = this.currentType;
+    let nextCursor = null;
+
+    return Promise.resolve().then(() => {
+      nextCursor = effect.factory({
+        configOverrides: Object.assign({}, effect.defaults, effect.settings),
         autoMouseEvents: false, // We handle input via addCursorListener instead
-        onReady: (fc) => {
-          // Create an initial splash in the center to show the effect
-          if (fc.splashAtClient) {
-            const cx = window.innerWidth / 2;
-            const cy = window.innerHeight / 2;
-            fc.splashAtClient(cx, cy, [0.5, 0.5, 0.5], "mouse");
-          }
-        },
+        // Touch is shared through Firebase once onLocalTouch is set (STEP 15)
+        onTouch: (touch) => (this.onLocalTouch ? this.onLocalTouch(touch) : false),
       });
       
+      // Keep the new canvas hidden until the effect is ready
+      if (nextCursor.canvas) nextCursor.canvas.style.opacity = "0";
+      
+      // User colours and name labels follow the shared identity
+      if (typeof nextCursor.setIdentity === 'function') {
+        nextCursor.setIdentity(this.identity);
+      }
+      
       // Update state directly without sending to Firebase
       // (we're already syncing from Firebase, so no need to send back)
-      this.currentType = "fluid";
-      document.body.setAttribute('app-type', "fluid");
-      this.switching = false;
+      this._setActiveCursor(type, nextCursor);
       
-      // Apply current volume setting/mute state to the new cursor
-      this.updateAppVolume();
+      return typeof nextCursor.init === 'function' ? nextCursor.init() : null;
+    }).then(() => {
+      return runTransition(
+        previousCursor ? previousCursor.canvas : null,
+        nextCursor.canvas || null,
+        this.transition
+      );
+    }).then(() => {
+      if (previousCursor && previousCursor.destroy) previousCursor.destroy();
+      this.events.emit("switch", { type: type, cursor: nextCursor });
+      return nextCursor;
+    }).catch((err) => {
+      console.error(`[cursorApp] Failed to create "${type}" cursor:`, err);
+      
+      // Drop the broken effect and keep the previous one running
+      if (nextCursor && nextCursor.destroy) nextCursor.destroy();
+      if (nextCursor && this.currentCursor === nextCursor) {
+        this._setActiveCursor(previousType, previousCursor);
+      }
+      this.events.emit("switcherror", { type: type, error: err });
+      return null;
     });
   },
-
+  
   /**
-   * PRIVATE: Actually switch to metaballs cursor
+   * Emit "reconcile" if the local effect differs from Firebase currentType
    * 
-   * This method performs the actual cursor switch. It's called by the
-   * firebaseOnValue callback when ANY user (including this one) changes
-   * the cursor type to metaballs.
-   * 
-   * PROCESS:
-   * 1. Check if already switching (prevent race conditions)
-   * 2. Destroy the current cursor and clean up resources
-   * 3. Create new WebGLMetaBallsCursor instance with organic blob config
-   * 4. Update state variables (but DON'T send to Firebase again)
+   * Only meaningful while no switch is queued; called when the queue drains
+   * and when Firebase names an effect that is not registered here.
    * 
    * @memberof cursorApp
    * @private
    */
-  _switchToMetaBalls: function() {
-    if (this.switching) return; // Prevent rapid switching
-    this.switching = true;
-    
-    Promise.resolve(this.destroyCurrentCursor()).then(() => {
-      // Create the metaballs cursor with organic blob effects
-      this.currentCursor = new WebGLMetaBallsCursor({
-        configOverrides: {
-          BALL_COUNT: 15,           // Number of animated metaballs
-          ANIMATION_SIZE: 30,       // Size of the animation area
-          CURSOR_BALL_SIZE: 3,      // Size of cursor metaball
-          SPEED: 0.3,               // Animation speed
-          CLUMP_FACTOR: 1,          // How tightly balls clump together
-          HOVER_SMOOTHNESS: 0.05,   // Cursor following smoothness (lower = smoother)
-          COLOR: [1, 1, 1],         // Main color (white RGB 0-1)
-          CURSOR_COLOR: [1, 1, 1],  // Cursor metaball color (white RGB 0-1)
-          ENABLE_TRANSPARENCY: true, // Enable alpha transparency for smooth edges
-          collisionSoundUrl: './sfx/water-drip.mp3' // Custom collision sound effect
-        },
-        autoMouseEvents: false, // We handle input via addCursorListener instead
-      });
-      
-      // Update state directly without sending to Firebase
-      // (we're already syncing from Firebase, so no need to send back)
-      this.currentType = "metaballs";
-      document.body.setAttribute('app-type', "metaballs");
-      this.switching = false;
-      
-      // Apply current volume setting/mute state to the new cursor
-      this.updateAppVolume();
+  _checkReconciled: function() {
+    const remoteType = this.requestedType;
+    if (!remoteType || remoteType === this.currentType) return;
+
+    this.events.emit("reconcile", {
+      localType: this.currentType,
+      remoteType: remoteType,
+      reason: this.effects.has(remoteType) ? "failed" : "unregistered",
     });
   },
   
+  /**
+   * Make a cursor the target of input, volume, pause state and the UI
+   * 
+   * @param {string|null} type - Effect id of the cursor
+   * @param {Object|null} cursor - Cursor instance
+   * @memberof cursorApp
+   * @private
+   */
+  _setActiveCursor: function(type, cursor) {
+    this.currentCursor = cursor;
+    this.currentType = type;
+    if (type) document.body.setAttribute('app-type', type);
+
+    // Apply current volume setting/mute state, shared pause state and
+    // input priority policy
+    this.updateAppVolume();
+    this.updatePausedState();
+    this.updateTargetPolicy();
+    this.updateTurnState();
+
+    // Settings panel and picker show the active effect
+    if (this.settingsPanel) this.settingsPanel.refresh();
+    this.updateEffectPicker();
+  },
+  
   // ========================
   // RESOURCE MANAGEMENT
   // ========================
@@ -394,14 +837,15 @@ window.cursorApp = {
   /**
    * Clean up current cursor instance and free resources
    * 
-   * This method safely destroys the current cursor before switching to a new one.
-   * It calls the cursor's destroy() method which:
+   * This method safely destroys the current cursor. Switching does not use it:
+   * _switchTo() keeps the previous cursor alive until the transition to the
+   * new one has finished, then destroys it. destroy() itself:
    * - Removes the canvas from the DOM
    * - Cleans up WebGL contexts
    * - Removes event listeners
    * - Cancels animation frames
    * 
-   * This prevents memory leaks and ensures smooth transitions between cursor types.
+   * This prevents memory leaks when the app is torn down.
    * 
    * @memberof cursorApp
    * @returns {Promise<void>} Promise that resolves when cleanup is complete
@@ -447,7 +891,7 @@ window.cursorApp = {
     if (!this.currentCursor || !this.currentCursor.inputManager) {
       return;
     }
-    
+
     // Forward to the cursor's input manager
     this.currentCursor.inputManager.updatePointerPosition(
       x, 
@@ -457,6 +901,99 @@ window.cursorApp = {
     );
   },
   
+  /**
+   * Mark a pointer as pressed or released (touch fingers)
+   * 
+   * @param {string} userId - Pointer id
+   * @param {boolean} down - True while pressed
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  setPointerDown: function(userId, down) {
+    const input = this.currentCursor && this.currentCursor.inputManager;
+    if (!input) return;
+    if (down) input.pointerDown(userId);
+    else input.pointerUp(userId);
+  },
+  
+  /**
+   * Remove a pointer right away (e.g. a lifted finger) instead of waiting
+   * for it to time out
+   * 
+   * @param {string} userId - Pointer id
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  removePointer: function(userId) {
+    const input = this.currentCursor && this.currentCursor.inputManager;
+    if (input) input.removePointer(userId);
+  },
+  
+  /**
+   * Receives this client's touch input from the effects (set on
+   * DOMContentLoaded to publish it through Firebase, see STEP 15)
+   * 
+   * While null, fingers and taps only drive the local effect.
+   * 
+   * @type {Function|null}
+   */
+  onLocalTouch: null,
+  
+  /**
+   * Trigger the current effect's burst interaction at a point
+   * 
+   * Used by input sources without a dwell, e.g. the "select" switch. Does
+   * nothing while paused or while the user is waiting for their turn.
+   * 
+   * @param {number} x - X coordinate in pixels (client coordinates)
+   * @param {number} y - Y coordinate in pixels (client coordinates)
+   * @param {string} userId - Pointer id of the user acting
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  burst: function(x, y, userId) {
+    const cursor = this.currentCursor;
+    if (!cursor || typeof cursor.burst !== 'function' || this.isPaused) return;
+
+    const input = cursor.inputManager;
+    if (input && typeof input.isWaitingForTurn === 'function' && input.isWaitingForTurn(userId)) {
+      return;
+    }
+    cursor.burst(x, y, userId);
+  },
+  
+  /**
+   * Keyboard / switch-access input of this client (created on DOMContentLoaded)
+   * @type {SwitchInput|null}
+   */
+  switchInput: null,
+  
+  /**
+   * Set a user's keyboard / switch-access mode
+   * 
+   * Stored in Firebase under switchAccess/<user>, so the host can set up
+   * scanning for a participant. Switch access is off until it is set.
+   * 
+   * @param {string} user - User key (e.g. "participant")
+   * @param {Object} options
+   * @param {string} [options.mode] - "off", "step" (arrow keys) or "scan"
+   * @param {boolean} [options.autoScan] - Sweep by itself (one switch) or
+   *                                       step with "next" (two switches)
+   * @param {number} [options.scanSpeed] - Auto-scan speed in px/s
+   * @memberof cursorApp
+   * @public
+   */
+  setSwitchAccess: function(user, options = {}) {
+    Object.keys(options).forEach((key) => {
+      if (options[key] !== undefined) {
+        SquidlyAPI.firebaseSet(`switchAccess/${user}/${key}`, options[key]);
+      }
+    });
+  },
+  
   // ========================
   // AUDIO MANAGEMENT
   // ========================
@@ -480,15 +1017,208 @@ window.cursorApp = {
     // Calculate effective volume
     // If muted, volume is 0. Otherwise, use system volume.
     const effectiveVolume = this.isMuted ? 0 : this.appVolume;
-    
+
     // Apply to current cursor if it exists and has setVolume method
     if (this.currentCursor && typeof this.currentCursor.setVolume === 'function') {
       this.currentCursor.setVolume(effectiveVolume);
     }
   },
 
+  // ========================
+  // PAUSE MANAGEMENT
+  // ========================
+
+  /**
+   * Shared paused state, synced through Firebase "isPaused"
+   * When true every participant's effect is frozen on its last frame
+   * @type {boolean}
+   */
+  isPaused: false,
+
+  /**
+   * Request that the effect is paused or resumed for everyone
+   * 
+   * Like cursor switching, this only updates Firebase; the firebaseOnValue
+   * callback applies the state on every client (including this one).
+   * 
+   * @param {boolean} paused - True to freeze the effect, false to resume
+   * @memberof cursorApp
+   * @public
+   */
+  setPaused: function(paused) {
+    SquidlyAPI.firebaseSet("isPaused", !!paused);
+  },
+
+  /**
+   * Apply the shared paused state to the current cursor
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  updatePausedState: function() {
+    const cursor = this.currentCursor;
+    if (!cursor) return;
+
+    if (this.isPaused && typeof cursor.pause === 'function') {
+      cursor.pause();
+    } else if (!this.isPaused && typeof cursor.play === 'function') {
+      cursor.play();
+    }
+  },
+
+  // ========================
+  // TURN TAKING
+  // ========================
+
+  /**
+   * Let only the current turn's user drive the current cursor
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  updateTurnState: function() {
+    const input = this.currentCursor && this.currentCursor.inputManager;
+    if (!this.turns || !input || typeof input.setTurnUser !== 'function') return;
+    input.setTurnUser(this.turns.getTurnUser());
+  },
+
+  /**
+   * Show the current turn in the banner and play the cue for a new turn
+   * 
+   * @param {boolean} turnChanged - Whether a different user now has the turn
+   * @memberof cursorApp
+   * @private
+   */
+  _announceTurn: function(turnChanged) {
+    const user = this.turns.getTurnUser();
+    if (user === null) {
+      this.turnBanner.hide();
+      return;
+    }
+
+    const name = this.identity ? this.identity.getName(user) : user;
+    const color = this.identity ? this.identity.getColorCSS(user) : "#ffffff";
+    this.turnBanner.show(`${name}'s turn`, color, this.turns.getRemaining());
+    if (turnChanged) this.turnBanner.cue(this.isMuted ? 0 : this.appVolume);
+  },
+
+  // ========================
+  // INPUT PRIORITY
+  // ========================
+
+  /**
+   * Shared input priority policy, synced through Firebase "targetPolicy"
+   * Decides whose pointer leads the effect (ballpit centre, metaballs cursor)
+   * @type {{policy: string, user: string|null, interval: number}}
+   */
+  targetPolicy: { policy: "mouse", user: null, interval: 5000 },
+
+  /**
+   * Request a new input priority policy for everyone
+   * 
+   * Like cursor switching, this only updates Firebase; the firebaseOnValue
+   * callback applies the policy on every client (including this one).
+   * 
+   * @param {string} policy - One of TARGET_POLICIES ("mouse", "host", "user",
+   *                          "active", "average", "roundrobin")
+   * @param {Object} [options={}]
+   * @param {string|null} [options.user=null] - User that leads with "user"
+   *                                            (e.g. "participant")
+   * @param {number} [options.interval=5000] - Turn length in ms with "roundrobin"
+   * @memberof cursorApp
+   * @public
+   */
+  setTargetPolicy: function(policy, options = {}) {
+    if (!TARGET_POLICIES.includes(policy)) {
+      console.warn(`[cursorApp] Unknown target policy "${policy}"`);
+      return;
+    }
+    SquidlyAPI.firebaseSet("targetPolicy", {
+      policy: policy,
+      user: options.user || null,
+      interval: options.interval || 5000,
+    });
+  },
+
+  /**
+   * Apply the shared input priority policy to the current cursor
+   * 
+   * @memberof cursorApp
+   * @public
+   */
+  updateTargetPolicy: function() {
+    const input = this.currentCursor && this.currentCursor.inputManager;
+    if (!input || typeof input.setTargetPolicy !== 'function') return;
+
+    const { policy, user, interval } = this.targetPolicy;
+    input.setTargetPolicy(policy, { user: user, interval: interval });
+  },
+
+  /**
+   * Human readable name of the current input priority policy
+   * 
+   * @returns {string} e.g. "Most Active" or "Participant Leads"
+   * @memberof cursorApp
+   * @public
+   */
+  getTargetPolicyLabel: function() {
+    const { policy, user } = this.targetPolicy;
+    if (policy === "user") {
+      return user && this.identity ? `${this.identity.getName(user)} Leads` : "User Leads";
+    }
+    return TARGET_POLICY_LABELS[policy];
+  },
+
 };
 
+// =============================================================================
+// BUILT-IN EFFECTS
+// =============================================================================
+// Registration order is also the order the "Change Cursor" icon cycles through.
+
+window.cursorApp.registerEffect("ballpit", (options) => new WebGLBallpitCursor(options), {
+  // Using default configuration from ballpit-cursor.js
+  // You can customize: COUNT, MIN_SIZE, MAX_SIZE, GRAVITY, FRICTION, etc.
+  collisionSoundUrl: './sfx/glass-clink.mp3' // Custom collision sound effect
+}, { label: "Ballpit", settings: WebGLBallpitCursor.SETTINGS_SCHEMA });
+
+window.cursorApp.registerEffect("fluid", (options) => new WebGLFluidCursor({
+  ...options,
+  onReady: (fc) => {
+    // Create an initial splash in the center to show the effect
+    if (fc.splashAtClient) {
+      const cx = window.innerWidth / 2;
+      const cy = window.innerHeight / 2;
+      fc.splashAtClient(cx, cy, [0.5, 0.5, 0.5], "mouse");
+    }
+  },
+}), {
+  SPLAT_RADIUS: 0.2,        // Size of fluid splashes
+  SPLAT_FORCE: 6000,        // Force applied by splashes
+  COLOR_UPDATE_SPEED: 5,    // Speed of color transitions
+  DENSITY_DISSIPATION: 0.5, // How quickly density fades
+  VELOCITY_DISSIPATION: 1.5, // How quickly velocity fades
+}, {
+  label: "Fluid",
+  settings: WebGLFluidCursor.SETTINGS_SCHEMA,
+  // Fluid listens to the local mouse directly to avoid the coordinate
+  // round-trip through the parent frame
+  handlesLocalMouse: true,
+});
+
+window.cursorApp.registerEffect("metaballs", (options) => new WebGLMetaBallsCursor(options), {
+  BALL_COUNT: 15,           // Number of animated metaballs
+  ANIMATION_SIZE: 30,       // Size of the animation area
+  CURSOR_BALL_SIZE: 3,      // Size of cursor metaball
+  SPEED: 0.3,               // Animation speed
+  CLUMP_FACTOR: 1,          // How tightly balls clump together
+  HOVER_SMOOTHNESS: 0.05,   // Cursor following smoothness (lower = smoother)
+  COLOR: [1, 1, 1],         // Main color (white RGB 0-1)
+  CURSOR_COLOR: [1, 1, 1],  // Cursor metaball color (white RGB 0-1)
+  ENABLE_TRANSPARENCY: true, // Enable alpha transparency for smooth edges
+  collisionSoundUrl: './sfx/water-drip.mp3' // Custom collision sound effect
+}, { label: "MetaBalls", settings: WebGLMetaBallsCursor.SETTINGS_SCHEMA });
+
 // =============================================================================
 // EVENT HANDLERS AND INITIALIZATION
 // =============================================================================
@@ -502,6 +1232,29 @@ document.addEventListener("DOMContentLoaded", () => {
   // Use session_info.user (e.g., "host" or "participant") to construct the key
   const userType = (typeof session_info !== 'undefined' && session_info.user) ? session_info.user : 'host';
   const volumePath = `${userType}/volume/level`;
+  
+  // The same role decides which shared controls this client may use
+  // (see STEP 11 and permissions.js)
+  const permissions = new Permissions({ role: userType });
+  window.cursorApp.permissions = permissions;
+  permissions
+    .defineControl("effect", "Change Effect", (type) => window.cursorApp.requestCursorSwitch(type))
+    .defineControl("mute", "Sound", (muted) => SquidlyAPI.firebaseSet("isMuted", !!muted))
+    .defineControl("pause", "Pause", (paused) => window.cursorApp.setPaused(paused))
+    .defineControl("settings", "Settings", (change) => {
+      if (change && typeof change === 'object') {
+        window.cursorApp.setEffectSettings(change.id, change.values);
+      }
+    });
+
+  // Each user's pointer colour and name come from the shared identity
+  const identity = new ParticipantIdentity({ role: userType });
+  window.cursorApp.identity = identity;
+  identity.watch();
+  
+  // Turn taking (STEP 13) goes round the users known to the identity
+  const turns = new TurnTaking({ role: userType, identity: identity });
+  window.cursorApp.turns = turns;
 
   // 2. Get initial volume
   if (SquidlyAPI.getSettings) {
@@ -522,35 +1275,26 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // -----------------------------------------------------------------------
-  // STEP 2: Initialize with ballpit cursor
+  // STEP 2: Initialize with the default cursor
   // -----------------------------------------------------------------------
-  window.cursorApp._switchToBallpit();
+  window.cursorApp._switchTo(DEFAULT_CURSOR_TYPE);
 
   // -----------------------------------------------------------------------
   // STEP 3: Listen for cursor type changes via Firebase
   // -----------------------------------------------------------------------
   SquidlyAPI.firebaseOnValue("currentType", (value) => {
-    if (value !== window.cursorApp.currentType) {
-      const methodName = CURSOR_TYPE_METHODS[value];
+    window.cursorApp.requestedType = value;
+
+    if (window.cursorApp.effects.has(value)) {
+      window.cursorApp.syncingFromParent = true;
       
-      if (methodName && typeof window.cursorApp[methodName] === 'function') {
-        window.cursorApp.syncingFromParent = true;
-        
-        // Switch cursor
-        window.cursorApp[methodName]();
-
-        // Apply current volume to the new cursor!
-        // We defer this slightly to ensure the promise in _switchToXXX has resolved
-        // and currentCursor is set. Actually _switchToXXX updates currentCursor inside
-        // the promise chain.
-        // But since we can't easily hook into that promise return here without changing
-        // _switchToXXX signature, we can rely on updateAppVolume checking for currentCursor.
-        // Better: Update _switchToXXX methods to call updateAppVolume, OR
-        // just set a timeout here, OR modify the methods.
-        // Modifying the methods is cleaner. I will do that in a separate edit block for clarity.
-        
-        window.cursorApp.syncingFromParent = false;
-      }
+      // Queue the switch even if value is the current type: it supersedes
+      // any switch to another type that is still waiting
+      window.cursorApp._switchTo(value);
+      
+      window.cursorApp.syncingFromParent = false;
+    } else if (window.cursorApp._pendingSwitches === 0) {
+      window.cursorApp._checkReconciled();
     }
   });
 
@@ -558,10 +1302,11 @@ document.addEventListener("DOMContentLoaded", () => {
   // STEP 4: Register for multi-user cursor updates
   // -----------------------------------------------------------------------
   SquidlyAPI.addCursorListener((data) => {
-    // Skip local mouse for fluid cursor - it handles local mouse directly
-    // to avoid coordinate round-trip transformation issues
+    // Skip local mouse for effects that handle the local mouse directly
+    // (e.g. fluid) to avoid coordinate round-trip transformation issues
+    const activeEffect = window.cursorApp.effects.get(window.cursorApp.currentType);
     if (data.source === 'local' && data.user.endsWith('-mouse') && 
-        window.cursorApp.currentType === 'fluid') {
+        activeEffect && activeEffect.handlesLocalMouse) {
       return;
     }
     window.cursorApp.updatePointerPosition(
@@ -575,17 +1320,26 @@ document.addEventListener("DOMContentLoaded", () => {
   // -----------------------------------------------------------------------
   // STEP 5: Create the grid icon button for cursor switching
   // -----------------------------------------------------------------------
-  SquidlyAPI.setIcon(1, 0, {
-    symbol: "change",
-    displayValue: "Change Cursor",
-    type: "action",
-  }, (value) => {
-    const appTypes = Object.keys(CURSOR_TYPE_METHODS);
-    const currentIndex = appTypes.indexOf(window.cursorApp.currentType);
-    const nextIndex = (currentIndex + 1) % appTypes.length;
-    const nextAppType = appTypes[nextIndex];
-    window.cursorApp.requestCursorSwitch(nextAppType);
-  });
+  // The settings panel (STEP 9) borrows row 0 while open, so every row 0
+  // button is drawn by a function that can restore it afterwards
+  function updateChangeCursorButton() {
+    if (window.cursorApp.settingsPanel && window.cursorApp.settingsPanel.isOpen) return;
+
+    SquidlyAPI.setIcon(1, 0, permissions.iconOptions("effect", {
+      symbol: "change",
+      displayValue: "Change Cursor",
+      type: "action",
+    }), (value) => {
+      const appTypes = window.cursorApp.getEffectIds();
+      const currentIndex = appTypes.indexOf(window.cursorApp.currentType);
+      const nextIndex = (currentIndex + 1) % appTypes.length;
+      const nextAppType = appTypes[nextIndex];
+      const label = window.cursorApp.effects.get(nextAppType).label;
+      permissions.perform("effect", nextAppType, `Switch to ${label}`);
+    });
+  }
+  
+  updateChangeCursorButton();
 
   // -----------------------------------------------------------------------
   // STEP 7: Create mute/unmute button using isMuted
@@ -594,26 +1348,28 @@ document.addEventListener("DOMContentLoaded", () => {
 
   SquidlyAPI.firebaseOnValue("isMuted", (isMuted) => {
     window.cursorApp.isMuted = !!isMuted;
-    
+
     // Update button appearance
     updateMuteButton(window.cursorApp.isMuted);
-    
+
     // Apply volume update (handles the muting)
     window.cursorApp.updateAppVolume();
   });
 
   const muteButtonCallback = () => {
     const newState = !window.cursorApp.isMuted;
-    SquidlyAPI.firebaseSet("isMuted", newState);
+    permissions.perform("mute", newState, newState ? "Mute sound" : "Unmute sound");
   };
   
   function updateMuteButton(isMuted) {
-    SquidlyAPI.setIcon(2, 0, {
+    if (window.cursorApp.settingsPanel && window.cursorApp.settingsPanel.isOpen) return;
+
+    SquidlyAPI.setIcon(2, 0, permissions.iconOptions("mute", {
       symbol: isMuted ? "soundOff" : "soundOn",
       displayValue: isMuted ? "Sound Off" : "Sound On",
       type: "action",
       active: isMuted,
-    }, muteButtonCallback);
+    }), muteButtonCallback);
   }
   
 
@@ -623,4 +1379,423 @@ document.addEventListener("DOMContentLoaded", () => {
   } else {
     console.log("[Mute Button] setIcon not available - cannot create mute button");
   }
+
+  // -----------------------------------------------------------------------
+  // STEP 8: Create pause/play button using isPaused
+  // -----------------------------------------------------------------------
+  // Pausing freezes the effect on its last frame for everyone in the session
+  SquidlyAPI.firebaseOnValue("isPaused", (isPaused) => {
+    window.cursorApp.isPaused = !!isPaused;
+
+    // Update button appearance
+    updatePauseButton(window.cursorApp.isPaused);
+
+    // Freeze or resume the current cursor
+    window.cursorApp.updatePausedState();
+  });
+
+  const pauseButtonCallback = () => {
+    const newState = !window.cursorApp.isPaused;
+    permissions.perform("pause", newState, newState ? "Pause effect" : "Resume effect");
+  };
+  
+  function updatePauseButton(isPaused) {
+    if (window.cursorApp.settingsPanel && window.cursorApp.settingsPanel.isOpen) return;
+
+    SquidlyAPI.setIcon(3, 0, permissions.iconOptions("pause", {
+      symbol: isPaused ? "play" : "pause",
+      displayValue: isPaused ? "Play" : "Pause",
+      type: "action",
+      active: isPaused,
+    }), pauseButtonCallback);
+  }
+  
+  if (typeof SquidlyAPI.setIcon !== 'undefined') {
+    updatePauseButton(false);
+  }
+
+  // -----------------------------------------------------------------------
+  // STEP 9: Create the settings button and grid-icon settings panel
+  // -----------------------------------------------------------------------
+  // Selecting "Settings" turns row 0 into large -/+ controls for the active
+  // effect's key parameters (see settings-panel.js); "Done" restores the row
+  function updateSettingsButton() {
+    if (window.cursorApp.settingsPanel.isOpen) return;
+
+    SquidlyAPI.setIcon(4, 0, {
+      symbol: "settings",
+      displayValue: "Settings",
+      type: "action",
+    }, () => window.cursorApp.settingsPanel.open());
+  }
+  
+  function updateControlRow() {
+    updateChangeCursorButton();
+    updateMuteButton(window.cursorApp.isMuted);
+    updatePauseButton(window.cursorApp.isPaused);
+    updateSettingsButton();
+  }
+  
+  window.cursorApp.settingsPanel = new SettingsPanel(window.cursorApp, {
+    onClose: updateControlRow,
+    onChange: (id, values) => {
+      const spec = window.cursorApp.effects.get(id).settingsSchema;
+      const key = Object.keys(values)[0];
+      const label = spec[key] ? spec[key].label : key;
+      permissions.perform("settings", { id: id, values: values }, `Set ${label} to ${values[key]}`);
+    },
+    iconOptions: (options) => permissions.iconOptions("settings", options),
+  });
+  
+  if (typeof SquidlyAPI.setIcon !== 'undefined') {
+    updateSettingsButton();
+  }
+
+  // -----------------------------------------------------------------------
+  // STEP 10: Create the effect picker row
+  // -----------------------------------------------------------------------
+  // One icon per registered effect (redrawn on every switch and whenever
+  // another effect is registered), so any effect is a single selection away
+  window.cursorApp.effectPickerShown = true;
+  window.cursorApp.updateEffectPicker();
+
+  // -----------------------------------------------------------------------
+  // STEP 11: Permissions - host controls and lock state
+  // -----------------------------------------------------------------------
+  // The host chooses per control who may use it: everyone, host only, or
+  // ask host. Participants' icons show the locked state; in "ask host" mode
+  // their actions arrive as a request the host approves or denies in row 3.
+  function updatePermissionIcons() {
+    if (!permissions.isHost() || typeof SquidlyAPI.setIcon === 'undefined') return;
+
+    // Row 2: one mode icon per control (everyone → host only → ask host)
+    permissions.getControls().forEach((control, index) => {
+      const mode = permissions.getMode(control);
+      SquidlyAPI.setIcon(index + 1, 2, {
+        symbol: mode === "everyone" ? "unlock" : "lock",
+        displayValue: `${permissions.getLabel(control)}: ${MODE_LABELS[mode]}`,
+        type: "action",
+        active: mode !== "everyone",
+      }, () => permissions.cycleMode(control));
+    });
+
+    // Row 3: pending "ask host" request
+    const request = permissions.request;
+    SquidlyAPI.setIcon(1, 3, {
+      symbol: "tick",
+      displayValue: request ? `Allow: ${request.label}` : "No Requests",
+      type: "action",
+      active: !!request,
+      disabled: !request,
+    }, () => permissions.approve());
+    SquidlyAPI.setIcon(2, 3, {
+      symbol: "close",
+      displayValue: request ? "Deny" : "No Requests",
+      type: "action",
+      disabled: !request,
+    }, () => permissions.deny());
+  }
+  
+  permissions.on("change", () => {
+    // Redraw every permission-controlled icon with its new state
+    updateControlRow();
+    window.cursorApp.settingsPanel.refresh();
+    window.cursorApp.updateEffectPicker();
+    updatePermissionIcons();
+  });
+  permissions.watch();
+  updatePermissionIcons();
+
+  // -----------------------------------------------------------------------
+  // STEP 12: Input priority - whose pointer leads the effect
+  // -----------------------------------------------------------------------
+  // In group sessions the host can let a participant's gaze lead instead of
+  // their own mouse. The policy is shared through Firebase "targetPolicy".
+  SquidlyAPI.firebaseOnValue("targetPolicy", (value) => {
+    const policy = value && TARGET_POLICIES.includes(value.policy) ? value.policy : "mouse";
+    window.cursorApp.targetPolicy = {
+      policy: policy,
+      user: value && typeof value.user === 'string' ? value.user : null,
+      interval: value && value.interval > 0 ? value.interval : 5000,
+    };
+    window.cursorApp.updateTargetPolicy();
+    updateTargetPolicyIcon();
+  });
+
+  // Policies the host's icon cycles through: one "user" entry per other user
+  function getTargetPolicyChoices() {
+    const users = new Set(Object.keys(identity.users));
+    const input = window.cursorApp.currentCursor && window.cursorApp.currentCursor.inputManager;
+    if (input) {
+      input.getActivePointers().forEach((p) => users.add(identity.getUser(p.id)));
+    }
+    users.delete("host");
+
+    return [
+      { policy: "mouse" },
+      { policy: "host" },
+      ...Array.from(users).sort().map((user) => ({ policy: "user", user: user })),
+      { policy: "active" },
+      { policy: "average" },
+      { policy: "roundrobin" },
+    ];
+  }
+
+  function updateTargetPolicyIcon() {
+    if (!permissions.isHost() || typeof SquidlyAPI.setIcon === 'undefined') return;
+
+    const { policy, user } = window.cursorApp.targetPolicy;
+    SquidlyAPI.setIcon(3, 3, {
+      symbol: "group",
+      displayValue: `Lead: ${window.cursorApp.getTargetPolicyLabel()}`,
+      type: "action",
+      active: policy !== "mouse",
+    }, () => {
+      const choices = getTargetPolicyChoices();
+      const index = choices.findIndex((c) => c.policy === policy && (c.user || null) === user);
+      const next = choices[(index + 1) % choices.length];
+      window.cursorApp.setTargetPolicy(next.policy, { user: next.user });
+    });
+  }
+  
+  // Names in the label come from the identity
+  identity.on("change", updateTargetPolicyIcon);
+  updateTargetPolicyIcon();
+
+  // -----------------------------------------------------------------------
+  // STEP 13: Turn taking - one user drives the effect at a time
+  // -----------------------------------------------------------------------
+  // Everyone else's pointer is shown ghosted until their turn. Turns rotate
+  // on the host's timer or when the host selects "Next Turn".
+  function formatTurnLength(interval) {
+    return interval ? `${interval / 1000}s` : "Host Advances";
+  }
+
+  function updateTurnIcons() {
+    if (!turns.isHost() || typeof SquidlyAPI.setIcon === 'undefined') return;
+
+    SquidlyAPI.setIcon(1, 4, {
+      symbol: "group",
+      displayValue: turns.enabled ? "Turns: On" : "Turns: Off",
+      type: "action",
+      active: turns.enabled,
+    }, () => (turns.enabled ? turns.stop() : turns.start()));
+
+    SquidlyAPI.setIcon(2, 4, {
+      symbol: "next",
+      displayValue: turns.enabled
+        ? `Next Turn: ${identity.getName(turns.getNextUser())}`
+        : "Next Turn",
+      type: "action",
+      disabled: !turns.enabled,
+    }, () => turns.advance());
+
+    SquidlyAPI.setIcon(3, 4, {
+      symbol: "timer",
+      displayValue: `Turn Length: ${formatTurnLength(turns.interval)}`,
+      type: "action",
+    }, () => {
+      const index = TURN_INTERVALS.indexOf(turns.interval);
+      turns.setTurnLength(TURN_INTERVALS[(index + 1) % TURN_INTERVALS.length]);
+    });
+  }
+
+  turns.on("change", ({ turnChanged }) => {
+    window.cursorApp.updateTurnState();
+    window.cursorApp._announceTurn(turnChanged);
+    updateTurnIcons();
+  });
+  // Names and colours in the banner and icons come from the identity
+  identity.on("change", () => {
+    if (turns.enabled) window.cursorApp._announceTurn(false);
+    updateTurnIcons();
+  });
+  turns.watch();
+  updateTurnIcons();
+
+  // -----------------------------------------------------------------------
+  // STEP 14: Keyboard and switch access
+  // -----------------------------------------------------------------------
+  // Arrow keys or one/two-switch scanning drive a virtual pointer; "select"
+  // triggers the effect's burst. Like a cursor, the pointer is shared: it is
+  // published to Firebase (switchPointer/<user>, switchSelect/<user>) as a
+  // fraction of the window, and every client feeds it in as `<user>-switch`.
+  // Each user's mode lives in Firebase (switchAccess/<user>) and is off
+  // until the host turns it on from row 5.
+  //
+  // The helpers below are shared with touch input (STEP 15).
+  const SHARED_SEND_INTERVAL = 50; // ms between pointer writes while moving
+
+  // Position as a fraction of the window, stamped so receivers spot changes
+  function toSharedPoint(x, y, extra) {
+    return Object.assign({ x: x / window.innerWidth, y: y / window.innerHeight, at: Date.now() }, extra);
+  }
+
+  // Firebase writer for one moving pointer, at most every SHARED_SEND_INTERVAL.
+  // clear() drops a pending write so a lifted finger is not written back.
+  function createPointerSender(path) {
+    let sentAt = 0;
+    let timer = null;
+    let pending = null;
+    const flush = () => {
+      timer = null;
+      sentAt = performance.now();
+      SquidlyAPI.firebaseSet(path, pending);
+    };
+    return {
+      send(value) {
+        pending = value;
+        if (timer) return;
+        const wait = SHARED_SEND_INTERVAL - (performance.now() - sentAt);
+        if (wait > 0) timer = setTimeout(flush, wait);
+        else flush();
+      },
+      clear() {
+        clearTimeout(timer);
+        timer = null;
+        SquidlyAPI.firebaseSet(path, null);
+      },
+    };
+  }
+
+  // Every entry under a path arrives together; only act on the ones that
+  // changed (callback) or disappeared (onRemove)
+  function forEachNewEntry(value, seen, callback, onRemove) {
+    const entries = value && typeof value === 'object' ? value : {};
+    Object.keys(seen).forEach((key) => {
+      if (entries[key]) return;
+      delete seen[key];
+      if (onRemove) onRemove(key);
+    });
+    Object.keys(entries).forEach((key) => {
+      const entry = entries[key];
+      if (!entry || !Number.isFinite(entry.x) || !Number.isFinite(entry.y)) return;
+      if (seen[key] === entry.at) return;
+      const first = !(key in seen);
+      seen[key] = entry.at;
+      callback(key, entry.x * window.innerWidth, entry.y * window.innerHeight, first, entry);
+    });
+  }
+
+  // Replay selects (switchSelect/<user>, touchSelect/<user>) as bursts.
+  // Selects already stored when this client joined are history, not actions.
+  function watchSelects(path, toPointerId) {
+    const seen = {};
+    let loaded = false;
+    SquidlyAPI.firebaseOnValue(path, (value) => {
+      forEachNewEntry(value, seen, (user, x, y, first, entry) => {
+        if (first && !loaded) return;
+        window.cursorApp.burst(x, y, toPointerId(user, entry));
+      });
+      loaded = true;
+    });
+  }
+
+  const switchSender = createPointerSender(`switchPointer/${userType}`);
+  const switchInput = new SwitchInput({
+    id: `${userType}-switch`,
+    mode: "off",
+    // Auto-scan moves every frame; the sender throttles the writes
+    onMove: (x, y) => switchSender.send(toSharedPoint(x, y)),
+    onSelect: (x, y) => SquidlyAPI.firebaseSet(`switchSelect/${userType}`, toSharedPoint(x, y)),
+  });
+  window.cursorApp.switchInput = switchInput;
+
+  const switchMoves = {};
+  SquidlyAPI.firebaseOnValue("switchPointer", (value) => {
+    forEachNewEntry(value, switchMoves, (user, x, y) => {
+      window.cursorApp.updatePointerPosition(x, y, null, `${user}-switch`);
+    });
+  });
+  watchSelects("switchSelect", (user) => `${user}-switch`);
+
+  // Host icons: one per participant, cycling off → arrow keys → auto scan →
+  // two-switch scan
+  const SWITCH_CHOICES = [
+    { mode: "off", autoScan: true, label: "Off" },
+    { mode: "step", autoScan: true, label: "Arrow Keys" },
+    { mode: "scan", autoScan: true, label: "Auto Scan" },
+    { mode: "scan", autoScan: false, label: "Two-Switch Scan" },
+  ];
+  let switchAccess = {};
+
+  function getSwitchChoice(user) {
+    const value = switchAccess[user] || {};
+    const mode = value.mode || "off";
+    const autoScan = value.autoScan !== false;
+    const index = SWITCH_CHOICES.findIndex(
+      (c) => c.mode === mode && (mode !== "scan" || c.autoScan === autoScan),
+    );
+    return Math.max(index, 0);
+  }
+
+  function updateSwitchIcons() {
+    if (!permissions.isHost() || typeof SquidlyAPI.setIcon === 'undefined') return;
+
+    const users = Object.keys(identity.users).filter((user) => user !== userType).sort();
+    if (!users.length) users.push("participant");
+    users.forEach((user, index) => {
+      const choice = getSwitchChoice(user);
+      SquidlyAPI.setIcon(index + 1, 5, {
+        symbol: "keyboard",
+        displayValue: `Switch (${identity.getName(user)}): ${SWITCH_CHOICES[choice].label}`,
+        type: "action",
+        active: choice !== 0,
+      }, () => {
+        const next = SWITCH_CHOICES[(choice + 1) % SWITCH_CHOICES.length];
+        window.cursorApp.setSwitchAccess(user, { mode: next.mode, autoScan: next.autoScan });
+      });
+    });
+  }
+
+  SquidlyAPI.firebaseOnValue("switchAccess", (value) => {
+    switchAccess = value && typeof value === 'object' ? value : {};
+    const own = switchAccess[userType];
+    switchInput.configure(Object.assign({ mode: "off" }, own && typeof own === 'object' ? own : {}));
+    updateSwitchIcons();
+  });
+  identity.on("change", updateSwitchIcons);
+  updateSwitchIcons();
+  switchInput.start();
+
+  // -----------------------------------------------------------------------
+  // STEP 15: Shared touch input
+  // -----------------------------------------------------------------------
+  // Effects hand their fingers and taps to cursorApp.onLocalTouch instead of
+  // their own InputManager. They are published like the switch pointer
+  // (touchPointer/<user>-touch-<n>, touchSelect/<user>) and every client,
+  // this one included, feeds them in as `<user>-touch-<n>` and replays taps
+  // as bursts.
+  const touchSenders = new Map();
+  window.cursorApp.onLocalTouch = (touch) => {
+    const id = `${userType}-touch-${touch.pointerId}`;
+    let sender = touchSenders.get(id);
+    if (!sender) {
+      sender = createPointerSender(`touchPointer/${id}`);
+      touchSenders.set(id, sender);
+    }
+
+    if (touch.type === "up") {
+      sender.clear();
+      touchSenders.delete(id);
+      if (touch.tap) {
+        SquidlyAPI.firebaseSet(`touchSelect/${userType}`, toSharedPoint(touch.x, touch.y, { id }));
+      }
+    } else {
+      sender.send(toSharedPoint(touch.x, touch.y));
+    }
+  };
+
+  const touchMoves = {};
+  SquidlyAPI.firebaseOnValue("touchPointer", (value) => {
+    forEachNewEntry(value, touchMoves, (id, x, y, first) => {
+      window.cursorApp.updatePointerPosition(x, y, null, id);
+      if (first) window.cursorApp.setPointerDown(id, true);
+    }, (id) => {
+      window.cursorApp.setPointerDown(id, false);
+      window.cursorApp.removePointer(id);
+    });
+  });
+  watchSelects("touchSelect", (user, entry) =>
+    typeof entry.id === "string" ? entry.id : `${user}-touch`);
 });
\ No newline at end of file
@@ -7,8 +7,15 @@
  * 
  * Features:
  * - Real-time 3D ball physics with THREE.js
+ * - Grid broadphase (spatial-grid.js) so collisions scale to 1000+ balls
+ * - Fixed-timestep physics with render interpolation, the same at any refresh rate
+ * - Seeded randomness (SEED) for reproducible runs
+ * - Optional Web Worker physics (PHYSICS_WORKER) with render interpolation
+ * - Benchmark mode (BENCHMARK) reporting the physics step time
  * - Multi-user support with individual ball assignment
  * - Configurable physics properties (gravity, friction, bounce)
+ * - Impulse collisions with mass from ball size and RESTITUTION
+ * - Boundary modes (BOUNDARY) and static obstacles in screen coordinates (OBSTACLES)
  * - Automatic canvas positioning and iframe support
  * - Resource management and cleanup
  * - Dynamic ball assignment for eye gaze users
@@ -18,21 +25,28 @@
  * @class WebGLBallpitCursor
  */
 
+// Import shared effect lifecycle
+import CursorEffect from './cursor-effect.js';
 // Import InputManager
 import InputManager from './input-manager.js';
 // Import Sound Engine
 import { CollisionSoundEngine } from './sound-engine.js';
+// Import the ball simulation (in-thread or in a Web Worker)
+import { BallpitPhysics, WorkerBallpitPhysics, BOUNDARY_MODES } from './ballpit-physics.js';
 
 // Dynamically import THREE as an ES module
 const threeCdn = "https://cdn.jsdelivr.net/npm/three@0.179.1/build/three.module.js";
 
-class WebGLBallpitCursor {
+class WebGLBallpitCursor extends CursorEffect {
   /**
    * Create a new WebGLBallpitCursor instance
    * 
    * @param {Object} [opts={}] - Configuration options
    * @param {Object} [opts.configOverrides={}] - Override physics configuration
    * @param {boolean} [opts.autoMouseEvents=false] - Whether to automatically handle mouse events
+   * @param {boolean} [opts.touchEvents=true] - Whether to handle touch/pen fingers (see CursorEffect)
+   * @param {Function|null} [opts.onTouch=null] - Receives touch input instead of the InputManager (see CursorEffect)
+   * @param {Function|null} [opts.onReady=null] - Called once THREE has loaded and the first frame is scheduled
    * 
    * @example
    * // Basic usage
@@ -48,23 +62,31 @@ class WebGLBallpitCursor {
    *   autoMouseEvents: true
    * });
    */
-  constructor({ configOverrides = {}, autoMouseEvents = false } = {}) {
+  constructor({
+    configOverrides = {},
+    autoMouseEvents = false,
+    touchEvents = true,
+    onTouch = null,
+    onReady = null,
+  } = {}) {
+    super({ autoMouseEvents, touchEvents, onTouch, onReady });
+
     /** @type {Object|null} THREE.js library instance */
     this.THREE = null;
-    
-    /** @type {boolean} Whether the cursor is ready for use */
-    this.ready = false;
 
     /** @type {Object} Physics and rendering configuration */
     this.config = Object.assign(
       {
         COUNT: 50,                    // Number of ambient follower balls in the simulation
-        MAX_USER_BALLS: 10,          // Max simultaneous user balls (mouse + remote users)
+        MAX_USER_BALLS: 10,          // User ball slots allocated up front (grows as more users join)
         MIN_SIZE: 0.6,               // Minimum ball size (0.1-2.0)
         MAX_SIZE: 1.2,               // Maximum ball size (0.5-3.0)
         GRAVITY: 0.02,               // Gravity strength (0.01-0.1)
         FRICTION: 0.998,             // Air resistance (0.9-0.999)
         WALL_BOUNCE: 0.95,           // Bounce factor for walls (0.1-1.0)
+        RESTITUTION: 0.6,            // Bounciness of ball-ball collisions (0-1)
+        BOUNDARY: 'open-top',        // "open-top", "box", "wrap" or "bowl"
+        OBSTACLES: [],               // Static circles, capsules and segments in client pixels
         MAX_VEL: 0.2,                // Maximum ball velocity
         FOLLOW_CURSOR: true,         // Whether balls follow cursor movement
         LIGHT_INTENSITY: 750,        // Light intensity for rendering
@@ -72,6 +94,10 @@ class WebGLBallpitCursor {
         AMBIENT_INTENSITY: 1.05,     // Ambient light intensity
         LEADER_EASE: 0.3,            // Easing factor for cursor following
         PAUSED: false,               // Pause simulation
+        BENCHMARK: false,            // Report physics step time (overlay + getBenchmark())
+        PHYSICS_WORKER: false,       // Step physics in a Web Worker (falls back to in-thread)
+        FIXED_STEP: 1 / 60,          // Physics step length in seconds (independent of frame rate)
+        SEED: null,                  // Random seed for reproducible runs (null = random)
         // Colorful ball palette
         PALETTE: [0xff6b6b, 0x4ecdc4, 0x45b7d1, 0x96ceb4, 0xfeca57, 0xff9ff3, 
                  0x54a0ff, 0x5f27cd, 0x00d2d3, 0xff9f43, 0xee5a24, 0x0abde3, 
@@ -90,88 +116,47 @@ class WebGLBallpitCursor {
       firstUserBallIndex: this.config.COUNT
     });
 
-    /** @type {Map<number, Object>} Per-user-ball state (e.g. first-frame teleport flag) */
-    this._userBallState = new Map(); // ballIndex -> { needsTeleport }
+    // Physics catches up in fixed steps, so throttled frames (e.g. a
+    // background iframe) may hand over more time than one step
+    this._maxDt = 0.1;
+
+    /** @type {string} Validated BOUNDARY mode */
+    this._boundary = this._resolveBoundary();
+
+    /** @type {number} User ball slots in the buffers; doubles when more users are connected */
+    this._userSlots = this.config.MAX_USER_BALLS;
+
+    /** @type {BallpitPhysics|null} Ball simulation (a WorkerBallpitPhysics with PHYSICS_WORKER) */
+    this.physics = null;
+
+    /** @type {Object|null} Step times collected since the last benchmark report */
+    this._bench = null;
+
+    /** @type {Object|null} Latest benchmark report (see getBenchmark()) */
+    this._benchReport = null;
+
+    /** @type {HTMLElement|null} Benchmark readout */
+    this._benchEl = null;
 
     /** @type {CollisionSoundEngine|null} Sound engine for collision effects */
     this.soundEngine = new CollisionSoundEngine({
       masterGain: 0.5,
-      collisionSoundUrl: configOverrides.collisionSoundUrl || './sfx/glass-clink.mp3',
+      collisionSoundUrl: this.config.collisionSoundUrl || './sfx/glass-clink.mp3',
       soundCooldown: 80,
       soundEnabled: true,
     });
-  
-        // Canvas overlay
-        this.canvas = document.createElement("canvas");
-        Object.assign(this.canvas.style, {
-          position: "fixed",
-          inset: "0",
-          width: "100vw",
-          height: "100vh",
-          pointerEvents: "none",
-          zIndex: "9998",
-          background: "transparent"
-        });
-        document.body.appendChild(this.canvas);
-  
-        // Lifecycle bindings
-        this._onResize = this._debounce(() => this._resize(), 100);
-        this._onVisibility = () => (document.hidden ? cancelAnimationFrame(this._raf) : this._loop());
-        this._autoMouse = autoMouseEvents;
-  
-        // Boot
-        this._init().catch((err) => {
-          console.error("[Ballpit] failed to init:", err);
-        });
-      }
-  
-      // ---------- Public API ----------
-      
-      /**
-       * Pause the ball physics simulation
-       * 
-       * Stops the physics update loop while keeping the rendering active.
-       * Balls will remain in their current positions.
-       * 
-       * @example
-       * ballpit.pause();
-       * 
-       * @public
-       */
-      pause() {
-        this.config.PAUSED = true;
-      }
-      
-  /**
-   * Resume the ball physics simulation
-   * 
-   * Restarts the physics update loop from where it was paused.
-   * 
-   * @example
-   * ballpit.play();
-   * 
-   * @public
-   */
-  play() {
-    this.config.PAUSED = false;
-  }
-  
-  /**
-   * Set the volume for ball collisions
-   * 
-   * @param {number} volume - Volume level (0.0 to 1.0)
-   * 
-   * @example
-   * ballpit.setVolume(0.5);
-   * 
-   * @public
-   */
-  setVolume(volume) {
-    if (this.soundEngine) {
-      this.soundEngine.setVolume(volume);
-    }
+
+    // Canvas overlay
+    this._createCanvas({ zIndex: "9998" });
+
+    // Boot (errors are logged by init())
+    this.init().catch(() => {});
   }
 
+  // ---------- Public API ----------
+  // pause(), play(), resize(), setVolume(), setConfig() and destroy() come
+  // from CursorEffect.
+
   /**
    * Enable sound effects for ball collisions
    * 
@@ -210,470 +195,738 @@ class WebGLBallpitCursor {
   async loadCollisionSound(audioUrl) {
     return await this.soundEngine.loadCollisionSound(audioUrl);
   }
-      
-      /**
-       * Destroy the ballpit cursor and clean up all resources
-       * 
-       * Safely destroys the THREE.js scene, removes event listeners, clears
-       * all physics data, and removes the canvas from the DOM. Should be called
-       * when the cursor is no longer needed to prevent memory leaks.
-       * 
-       * @example
-       * // Clean up when switching to another cursor
-       * ballpit.destroy();
-       * 
-       * @public
-       */
-      destroy() {
-        cancelAnimationFrame(this._raf);
-        window.removeEventListener("resize", this._onResize);
-        document.removeEventListener("visibilitychange", this._onVisibility);
-        if (this._autoMouse) {
-          window.removeEventListener("mousemove", this._autoMouseMove);
-          window.removeEventListener("mouseleave", this._autoMouseLeave);
-        }
-  
-        if (this.scene) {
-          this.scene.traverse((o) => {
-            if (o.isMesh) {
-              o.geometry?.dispose?.();
-              if (Array.isArray(o.material)) o.material.forEach((m) => m?.dispose?.());
-              else o.material?.dispose?.();
-            }
-          });
+
+  /**
+   * Override the mass of one ball
+   *
+   * Balls weigh their radius cubed by default, so big balls shove small ones
+   * aside. User balls are not affected: they always follow their pointer.
+   *
+   * @param {number} index - Follower ball index (0 … COUNT-1)
+   * @param {number} mass - Mass, or 0 to derive it from the size again
+   *
+   * @example
+   * ballpit.setBallMass(0, 50); // ball 0 becomes a heavy boulder
+   *
+   * @public
+   */
+  setBallMass(index, mass) {
+    this.physics?.setMass(index, mass);
+  }
+
+  /**
+   * Latest physics benchmark, refreshed once a second while BENCHMARK is on
+   *
+   * @example
+   * ballpit.setConfig({ BENCHMARK: true, COUNT: 1000 });
+   * setTimeout(() => console.log(ballpit.getBenchmark()), 5000);
+   *
+   * @returns {{avgStepMs: number, maxStepMs: number, steps: number, balls: number, users: number}|null}
+   *   Step time average and maximum over the last second, or null before the first report
+   * @public
+   */
+  getBenchmark() {
+    return this._benchReport ? Object.assign({}, this._benchReport) : null;
+  }
+
+  /**
+   * Dispose the THREE.js scene and renderer (called by CursorEffect.destroy)
+   * @protected
+   */
+  _dispose() {
+    if (this.scene) {
+      this.scene.traverse((o) => {
+        if (o.isMesh) {
+          o.geometry?.dispose?.();
+          if (Array.isArray(o.material)) o.material.forEach((m) => m?.dispose?.());
+          else o.material?.dispose?.();
         }
-    this.renderer?.dispose?.();
-    this.canvas?.remove?.();
-    
-    // Clean up sound engine
-    if (this.soundEngine) {
-      this.soundEngine.destroy();
-      this.soundEngine = null;
+      });
     }
+    this.renderer?.dispose?.();
+    this.physics?.destroy();
+    this.physics = null;
+    this._benchEl?.remove();
+    this._benchEl = null;
+  }
+
+  // ---------- Core init ----------
+  async _init() {
+    // Load THREE
+    this.THREE = await import(threeCdn);
+
+    // Renderer / Scene / Camera
+    this.renderer = new this.THREE.WebGLRenderer({
+      canvas: this.canvas,
+      antialias: true,
+      alpha: true,
+      powerPreference: "high-performance"
+    });
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+
+    this.scene = new this.THREE.Scene();
+
+    this.camera = new this.THREE.PerspectiveCamera(45, 1, 0.1, 100);
+    this.camera.position.set(0, 0, 20);
+    this.camera.lookAt(0, 0, 0);
+
+    // Lights
+    this.ambient = new this.THREE.AmbientLight(
+      this.config.AMBIENT_COLOR,
+      this.config.AMBIENT_INTENSITY
+    );
+    this.scene.add(this.ambient);
+
+    this.keyLight = new this.THREE.PointLight(this.config.PALETTE[0], this.config.LIGHT_INTENSITY);
+    this.keyLight.position.set(0, 0, 5);
+    this.scene.add(this.keyLight);
 
-    this.ready = false;
+    // Add a second light at top left
+    this.topLeftLight = new this.THREE.PointLight(this.config.PALETTE[2], this.config.LIGHT_INTENSITY * 2.0);
+    this.topLeftLight.position.set(-8, 8, 10);
+    this.scene.add(this.topLeftLight);
+
+    // Bounds (updated by _resize based on FOV)
+    this.bounds = { x: 5, y: 5, z: 2 };
+
+    // OBSTACLES in world space (updated by _resize and setConfig)
+    this._worldObstacles = [];
+
+    this.center = new this.THREE.Vector3(0, 0, 0);
+
+    // Instanced sphere geometry/material, shared by every rebuild of the mesh
+    this._ballGeometry = new this.THREE.SphereGeometry(1, 24, 24);
+    this._ballMaterial = new this.THREE.MeshPhysicalMaterial({
+      metalness: 0.8,
+      roughness: 0.1,
+      clearcoat: 1.0,
+      clearcoatRoughness: 0.05
+    });
+
+    // Physics buffers + instanced mesh sized for COUNT + user ball slots
+    this._createPhysics();
+    this._rebuildBalls();
+
+    // Reusable xform
+    this._tmpObj = new this.THREE.Object3D();
+
+    // Ray setup (project pointer onto z=0 plane in camera space)
+    this.raycaster = new this.THREE.Raycaster();
+    this.mouseNdc = new this.THREE.Vector2(-10, -10);
+    this.followPlane = new this.THREE.Plane(new this.THREE.Vector3(0, 0, 1), 0);
+    this.planeHit = new this.THREE.Vector3();
+
+    // Events, sizing and the frame loop are started by CursorEffect.init()
+    // Sound engine is already initialized in constructor
   }
-  
-      // ---------- Core init ----------
-      async _init() {
-        // Load THREE
-        this.THREE = await import(threeCdn);
-  
-        // Renderer / Scene / Camera
-        this.renderer = new this.THREE.WebGLRenderer({
-          canvas: this.canvas,
-          antialias: true,
-          alpha: true,
-          powerPreference: "high-performance"
-        });
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
-  
-        this.scene = new this.THREE.Scene();
-  
-        this.camera = new this.THREE.PerspectiveCamera(45, 1, 0.1, 100);
-        this.camera.position.set(0, 0, 20);
-        this.camera.lookAt(0, 0, 0);
-  
-        // Lights
-        this.ambient = new this.THREE.AmbientLight(
-          this.config.AMBIENT_COLOR,
-          this.config.AMBIENT_INTENSITY
-        );
-        this.scene.add(this.ambient);
-  
-        this.keyLight = new this.THREE.PointLight(this.config.PALETTE[0], this.config.LIGHT_INTENSITY);
-        this.keyLight.position.set(0, 0, 5);
-        this.scene.add(this.keyLight);
-
-        // Add a second light at top left
-        this.topLeftLight = new this.THREE.PointLight(this.config.PALETTE[2], this.config.LIGHT_INTENSITY * 2.0);
-        this.topLeftLight.position.set(-8, 8, 10);
-        this.scene.add(this.topLeftLight);
-  
-        // Bounds (updated by _resize based on FOV)
-        this.bounds = { x: 5, y: 5, z: 2 };
-  
-        // Physics buffers — extended to hold user ball slots beyond the follower pool
-        const C = this.config.COUNT;
-        const MAX_USER = this.config.MAX_USER_BALLS;
-        const TOTAL = C + MAX_USER;
-        this.positions = new Float32Array(3 * TOTAL);
-        this.velocities = new Float32Array(3 * TOTAL);
-        this.sizes = new Float32Array(TOTAL);
-        this.center = new this.THREE.Vector3(0, 0, 0);
-  
-        // Seed follower particles (indices 0 … C-1)
-        for (let i = 0; i < C; i++) {
-          const b = 3 * i;
-          this.positions[b + 0] = this.THREE.MathUtils.randFloatSpread(2 * this.bounds.x);
-          this.positions[b + 1] = this.THREE.MathUtils.randFloatSpread(2 * this.bounds.y);
-          this.positions[b + 2] = this.THREE.MathUtils.randFloatSpread(2 * this.bounds.z);
-          this.velocities[b + 0] = this.THREE.MathUtils.randFloatSpread(0.2);
-          this.velocities[b + 1] = this.THREE.MathUtils.randFloatSpread(0.2);
-          this.velocities[b + 2] = this.THREE.MathUtils.randFloatSpread(0.2);
-          this.sizes[i] = this.THREE.MathUtils.randFloat(this.config.MIN_SIZE, this.config.MAX_SIZE);
-        }
 
-        // User ball slots (indices C … TOTAL-1) start hidden; they are shown
-        // when a user's pointer is active.
-        for (let i = C; i < TOTAL; i++) {
-          this.sizes[i] = 0;
-        }
-  
-        // Instanced spheres
-        const geom = new this.THREE.SphereGeometry(1, 24, 24);
-        const mat = new this.THREE.MeshPhysicalMaterial({
-          metalness: 0.8,
-          roughness: 0.1,
-          clearcoat: 1.0,
-          clearcoatRoughness: 0.05
+  // ---------- Ball buffers ----------
+
+  /**
+   * Create the ball simulation, in a worker if PHYSICS_WORKER is on
+   *
+   * An existing simulation's state carries over, so switching engines at
+   * runtime does not reset the balls. If workers are unavailable, or the
+   * worker fails later, the balls continue on the main thread.
+   *
+   * @private
+   */
+  _createPhysics() {
+    const previous = this.physics;
+    let physics = null;
+
+    if (this.config.PHYSICS_WORKER) {
+      try {
+        physics = new WorkerBallpitPhysics({
+          seed: this.config.SEED,
+          onResult: (result) => this._onStepResult(result),
+          onError: () => this._fallBackToMainThread(),
         });
-  
-        this.mesh = new this.THREE.InstancedMesh(geom, mat, TOTAL);
-        this.mesh.instanceMatrix.setUsage(this.THREE.DynamicDrawUsage);
-        // Color gradient across follower instances
-        const palette = this.config.PALETTE.map((h) => new this.THREE.Color(h));
-        const lerpColor = (t) => {
-          const x = this.THREE.MathUtils.clamp(t, 0, 1) * (palette.length - 1);
-          const i = Math.floor(x);
-          if (i >= palette.length - 1) return palette[i].clone();
-          const a = x - i;
-          return palette[i].clone().lerp(palette[i + 1], a);
-        };
-        for (let i = 0; i < C; i++) {
-          this.mesh.setColorAt(i, lerpColor(i / (C - 1)));
-        }
-        // User ball slots — give each a bright white so they stand out
-        const userBallColor = new this.THREE.Color(0xffffff);
-        for (let i = C; i < TOTAL; i++) {
-          this.mesh.setColorAt(i, userBallColor);
-        }
-        this.scene.add(this.mesh);
-  
-        // Reusable xform
-        this._tmpObj = new this.THREE.Object3D();
-  
-        // Ray setup (project pointer onto z=0 plane in camera space)
-        this.raycaster = new this.THREE.Raycaster();
-        this.mouseNdc = new this.THREE.Vector2(-10, -10);
-        this.followPlane = new this.THREE.Plane(new this.THREE.Vector3(0, 0, 1), 0);
-        this.planeHit = new this.THREE.Vector3();
-  
-        // Auto mouse (optional parity with fluid cursor)
-        if (this._autoMouse) {
-          this._autoMouseMove = (e) => {
-            this.inputManager.updatePointerPosition(e.clientX, e.clientY, null, "mouse");
-          };
-          this._autoMouseLeave = () => {
-            // Hide the mouse user ball when the cursor leaves the window
-            if (this.config.FOLLOW_CURSOR) {
-              const mouseIndex = this.inputManager.getUserBallIndices().get("mouse");
-              if (mouseIndex !== undefined && this.sizes) {
-                this.sizes[mouseIndex] = 0;
-              }
-            }
-          };
-          window.addEventListener("mousemove", this._autoMouseMove, { passive: true });
-          window.addEventListener("mouseleave", this._autoMouseLeave, { passive: true });
-        }
-  
-        // Events
-        window.addEventListener("resize", this._onResize);
-        document.addEventListener("visibilitychange", this._onVisibility);
-  
-    // Sound engine is already initialized in constructor
+      } catch (e) {
+        console.warn('[Ballpit] Physics worker unavailable, using main thread:', e);
+      }
+    }
+    if (!physics) physics = new BallpitPhysics({ seed: this.config.SEED });
 
-    // Start
-    this._resize();
-    this._lastT = performance.now();
-    this.ready = true;
-    this._loop();
+    if (previous) {
+      physics.setState(previous);
+      previous.destroy();
+    }
+    this.physics = physics;
   }
-  
-    // ---------- Audio System ----------
-    // Audio system is now handled by BallpitSoundEngine
-
-    // ---------- User ball lifecycle callbacks ----------
-
-    /**
-     * Called by InputManager when a new user ball is dynamically spawned.
-     * Initialises the ball slot and marks it for teleport on the first frame
-     * so it snaps to the user's pointer rather than sliding from (0, 0, 0).
-     *
-     * @param {string} userType - The user type identifier
-     * @param {number} ballIndex - The assigned ball index (≥ COUNT)
-     */
-    onUserBallSpawned(userType, ballIndex) {
-      this._userBallState.set(ballIndex, { needsTeleport: true });
-      // Ball is hidden (size 0) until the first pointer update moves it into view
-      if (this.sizes) this.sizes[ballIndex] = 0;
+
+  /**
+   * Continue with in-thread physics from the worker's last snapshot
+   * @private
+   */
+  _fallBackToMainThread() {
+    if (!(this.physics instanceof WorkerBallpitPhysics)) return;
+    const local = new BallpitPhysics({ seed: this.config.SEED });
+    local.setState(this.physics);
+    this.physics = local;
+  }
+
+  /**
+   * (Re)allocate the physics buffers and instanced mesh
+   *
+   * Buffers hold COUNT follower balls followed by the user ball slots (at
+   * least MAX_USER_BALLS, more while more users are connected). Existing
+   * followers keep their position, velocity and size; extra followers are
+   * seeded above the top of the screen so they drop in. User balls move to
+   * the new user range (starting at COUNT) so every participant keeps their
+   * ball. The new mesh replaces the old one before the next render, so the
+   * swap is not visible.
+   *
+   * @private
+   */
+  _rebuildBalls() {
+    const C = this.config.COUNT;
+    const moved = this.inputManager.setFirstUserBallIndex(C);
+    const needed = moved.reduce((n, { to }) => Math.max(n, to + 1 - C), 0);
+    this._userSlots = Math.max(this.config.MAX_USER_BALLS, this._userSlots, needed);
+    const TOTAL = C + this._userSlots;
+
+    this.physics.resize(C, TOTAL, {
+      moves: moved,
+      minSize: this.config.MIN_SIZE,
+      maxSize: this.config.MAX_SIZE,
+      bounds: this.bounds,
+    });
+
+    // User ball slots start hidden; they are shown when a user's pointer is
+    // active. Moved user balls keep their size, so a hidden one still snaps
+    // to its pointer when it appears (see BallpitPhysics.step()).
+
+    // Instanced spheres
+    const mesh = new this.THREE.InstancedMesh(this._ballGeometry, this._ballMaterial, TOTAL);
+    mesh.instanceMatrix.setUsage(this.THREE.DynamicDrawUsage);
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      this.mesh.dispose();
     }
+    this.mesh = mesh;
+    this._applyPalette();
+    this.scene.add(this.mesh);
+  }
 
-    /**
-     * Called by InputManager when a user ball is removed (user disconnected or timed out).
-     * Hides the ball slot immediately.
-     *
-     * @param {string} userType - The user type identifier
-     * @param {number} ballIndex - The ball index being freed
-     */
-    onUserBallRemoved(userType, ballIndex) {
-      this._userBallState.delete(ballIndex);
-      if (this.sizes) this.sizes[ballIndex] = 0;
+  /**
+   * Colour the instances from PALETTE and tint the lights to match
+   * @private
+   */
+  _applyPalette() {
+    const C = this.config.COUNT;
+
+    // Color gradient across follower instances
+    const palette = this.config.PALETTE.map((h) => new this.THREE.Color(h));
+    const lerpColor = (t) => {
+      const x = this.THREE.MathUtils.clamp(t, 0, 1) * (palette.length - 1);
+      const i = Math.floor(x);
+      if (i >= palette.length - 1) return palette[i].clone();
+      const a = x - i;
+      return palette[i].clone().lerp(palette[i + 1], a);
+    };
+    for (let i = 0; i < C; i++) {
+      this.mesh.setColorAt(i, lerpColor(i / Math.max(C - 1, 1)));
     }
+    // User balls take their user's identity colour
+    this._applyUserBallColors();
 
-    // ---------- Input plumbing ----------
-    _onPointerInputChanged() {
-      // Use InputManager's target pointer logic
-      const targetPointer = this.inputManager.getTargetPointer();
-      
-      if (!targetPointer || !this.ready) return;
-
-      // Project target coords into world plane
-      const w = window.innerWidth;
-      const h = window.innerHeight;
-      this.mouseNdc.set((targetPointer.x / w) * 2 - 1, -(targetPointer.y / h) * 2 + 1);
-      this.raycaster.setFromCamera(this.mouseNdc, this.camera);
-      this.camera.getWorldDirection(this.followPlane.normal);
-      if (this.raycaster.ray.intersectPlane(this.followPlane, this.planeHit)) {
-        this.center.copy(this.planeHit);
-      }
+    this.keyLight.color.set(this.config.PALETTE[0]);
+    this.topLeftLight.color.set(this.config.PALETTE[2 % this.config.PALETTE.length]);
+  }
+
+  /**
+   * Colour each user ball with its user's identity colour
+   *
+   * Slots without a user, or users without an identity, stay bright white so
+   * they stand out from the followers.
+   *
+   * @private
+   */
+  _applyUserBallColors() {
+    if (!this.mesh) return;
+    const C = this.config.COUNT;
+    const TOTAL = C + this._userSlots;
+
+    const color = new this.THREE.Color(0xffffff);
+    for (let i = C; i < TOTAL; i++) {
+      this.mesh.setColorAt(i, color);
     }
-  
-      // ---------- Frame loop ----------
-      _loop() {
-        this._raf = requestAnimationFrame(() => this._loop());
-        if (!this.ready) return;
-  
-        const now = performance.now();
-        let dt = (now - this._lastT) / 1000;
-        this._lastT = now;
-        dt = Math.min(dt, 1 / 60);
-  
-        if (!this.config.PAUSED) this._stepPhysics(dt);
-        this._render();
-        
-        // Cleanup inactive users every 2 seconds
-        if (now % 2000 < dt * 1000) {
-          this.inputManager.cleanupInactiveUsers(5000); // 5 second timeout
-        }
+    if (this.identity) {
+      for (const [userType, ballIndex] of this.inputManager.getUserBallIndices()) {
+        if (ballIndex >= TOTAL) continue;
+        this.mesh.setColorAt(ballIndex, color.setHex(this.identity.getColor(userType)));
       }
-  
-      // ---------- Physics ----------
-      _stepPhysics(dt) {
-        const {
-          COUNT, GRAVITY, FRICTION, WALL_BOUNCE, MAX_VEL, FOLLOW_CURSOR, LEADER_EASE
-        } = this.config;
-  
-        const bx = this.bounds.x, by = this.bounds.y, bz = Math.max(this.bounds.z, this.config.MAX_SIZE || 1);
-        const p = this.positions, v = this.velocities, s = this.sizes;
-
-        // Cache user ball indices once per frame to avoid repeated Map allocations
-        const userBallIndices = this.inputManager.getUserBallIndices();
-
-        // --- user balls: kinematic control (indices COUNT … COUNT+MAX_USER_BALLS-1)
-        // These are dynamically spawned balls that live outside the follower pool
-        // and never interfere with the follower indices.
-        if (FOLLOW_CURSOR) {
-          let mouseBallIndex = undefined;
-          for (const [userType, ballIndex] of userBallIndices) {
-            if (this.inputManager.hasPointer(userType)) {
-              const userPointer = this.inputManager.getPointer(userType);
-              if (userPointer) {
-                const w = window.innerWidth;
-                const h = window.innerHeight;
-                const ndc = new this.THREE.Vector2((userPointer.x / w) * 2 - 1, -(userPointer.y / h) * 2 + 1);
-                const raycaster = new this.THREE.Raycaster();
-                raycaster.setFromCamera(ndc, this.camera);
-                const hit = new this.THREE.Vector3();
-                this.camera.getWorldDirection(this.followPlane.normal);
-                if (raycaster.ray.intersectPlane(this.followPlane, hit)) {
-                  const state = this._userBallState.get(ballIndex) || {};
-                  // Teleport on first frame so ball doesn't slide in from (0,0,0)
-                  const ease = state.needsTeleport ? 1.0 : LEADER_EASE;
-                  if (state.needsTeleport) {
-                    state.needsTeleport = false;
-                    this._userBallState.set(ballIndex, state);
-                  }
-                  const bi = 3 * ballIndex;
-                  p[bi]     += (hit.x - p[bi])     * ease;
-                  p[bi + 1] += (hit.y - p[bi + 1]) * ease;
-                  p[bi + 2] += (0     - p[bi + 2]) * ease;
-                  v[bi] = v[bi + 1] = v[bi + 2] = 0;
-                  s[ballIndex] = Math.max(this.config.MAX_SIZE, 0.36);
-                  if (userType === "mouse") mouseBallIndex = ballIndex;
-                }
-              }
-            } else {
-              // Hide user ball when this pointer is not active
-              s[ballIndex] = 0;
-            }
-          }
-          // Key light tracks the mouse user ball (or stays at last position)
-          if (mouseBallIndex !== undefined) {
-            this.keyLight.position.set(p[3 * mouseBallIndex], p[3 * mouseBallIndex + 1], 5);
-          }
-        } else {
-          // Hide all user balls when FOLLOW_CURSOR is disabled
-          for (const ballIndex of userBallIndices.values()) {
-            s[ballIndex] = 0;
-          }
-        }
+    }
+    if (this.mesh.instanceColor) this.mesh.instanceColor.needsUpdate = true;
+  }
 
-        // --- pairwise collisions: follower balls only (0 … COUNT-1)
-        // No cursor-ball skipping needed — user balls are outside this range.
-        for (let i = 0; i < COUNT; i++) {
-          for (let j = i + 1; j < COUNT; j++) {
-            const bi = 3 * i, bj = 3 * j;
-            const dx = p[bi] - p[bj], dy = p[bi+1] - p[bj+1], dz = p[bi+2] - p[bj+2];
-            const dist = Math.hypot(dx, dy, dz);
-            const minDist = s[i] + s[j];
-            if (dist > 0 && dist < minDist) {
-              const overlap = (minDist - dist) * 0.5;
-              const nx = dx / dist, ny = dy / dist, nz = dz / dist;
-              // positional correction (soft, no heavy impulses)
-              p[bi] += nx * overlap; p[bi+1] += ny * overlap; p[bi+2] += nz * overlap;
-              p[bj] -= nx * overlap; p[bj+1] -= ny * overlap; p[bj+2] -= nz * overlap;
-
-              // very gentle velocity separation to reduce sticky clumps
-              const push = 0.02; // small!
-              v[bi] += nx * push; v[bi+1] += ny * push; v[bi+2] += nz * push;
-              v[bj] -= nx * push; v[bj+1] -= ny * push; v[bj+2] -= nz * push;
-            }
-          }
-        }
+  /**
+   * Re-colour the user balls after identity colours changed
+   * @protected
+   */
+  _applyIdentity() {
+    this._applyUserBallColors();
+  }
 
-        // --- repulsion pass: each user ball pushes all follower balls away
-        if (FOLLOW_CURSOR) {
-          for (const ballIndex of userBallIndices.values()) {
-            const cx = p[3 * ballIndex], cy = p[3 * ballIndex + 1], cz = p[3 * ballIndex + 2];
-            const cr = s[ballIndex];
-            if (cr > 0) { // Only if this user ball is active
-              for (let i = 0; i < COUNT; i++) {
-                const b = 3 * i;
-                const dx = p[b] - cx, dy = p[b+1] - cy, dz = p[b+2] - cz;
-                const dist = Math.hypot(dx, dy, dz);
-                const minDist = cr + s[i];
-                if (dist > 0 && dist < minDist) {
-                  const overlap = (minDist - dist);
-                  const nx = dx / dist, ny = dy / dist, nz = dz / dist;
-
-                  const sep = overlap * 0.9;
-                  p[b] += nx * sep; p[b+1] += ny * sep; p[b+2] += nz * sep;
-
-                  const speed = Math.hypot(v[b], v[b+1], v[b+2]) || 1;
-                  const kick = 0.15 * speed + 0.2;
-                  v[b] += nx * kick; v[b+1] += ny * kick; v[b+2] += nz * kick;
-                  
-                  // Play cursor collision sound (usually more energetic)
-                  const intensity = Math.min(overlap / minDist + speed * 0.3, 1.0);
-                  this.soundEngine.playCollision(intensity);
-                }
-              }
-            }
-          }
-        }
+  // ---------- Runtime configuration ----------
 
-        // --- physics for follower balls (0 … COUNT-1)
-        for (let i = 0; i < COUNT; i++) {
-          const b = 3 * i;
-
-          // gravity
-          v[b + 1] -= GRAVITY * s[i] * dt;
-
-          // friction
-          v[b + 0] *= FRICTION;
-          v[b + 1] *= FRICTION;
-          v[b + 2] *= FRICTION;
-
-          // clamp velocity length
-          const len = Math.hypot(v[b + 0], v[b + 1], v[b + 2]);
-          if (len > MAX_VEL) {
-            const f = MAX_VEL / (len || 1);
-            v[b + 0] *= f; v[b + 1] *= f; v[b + 2] *= f;
-          }
-
-          // integrate
-          p[b + 0] += v[b + 0];
-          p[b + 1] += v[b + 1];
-          p[b + 2] += v[b + 2];
-
-          // walls
-          const rad = s[i];
-          if (Math.abs(p[b + 0]) + rad > bx) {
-            p[b + 0] = Math.sign(p[b + 0]) * (bx - rad);
-            v[b + 0] = -v[b + 0] * WALL_BOUNCE;
-          }
-          if (p[b + 1] - rad < -by) {
-            p[b + 1] = -by + rad;
-            v[b + 1] = -v[b + 1] * WALL_BOUNCE;
-          }
-          // No top wall - balls can move freely upward
-          if (Math.abs(p[b + 2]) + rad > bz) {
-            p[b + 2] = Math.sign(p[b + 2]) * (bz - rad);
-            v[b + 2] = -v[b + 2] * WALL_BOUNCE;
-          }
-        }
-      }
-  
-      // ---------- Render ----------
-      _render() {
-        const TOTAL = this.config.COUNT + this.config.MAX_USER_BALLS;
-        const p = this.positions;
-        const s = this.sizes;
-        
-
-        for (let i = 0; i < TOTAL; i++) {
-          const b = 3 * i;
-          this._tmpObj.position.set(p[b + 0], p[b + 1], p[b + 2]);
-          this._tmpObj.scale.setScalar(Math.max(s[i], 0));
-          this._tmpObj.updateMatrix();
-          this.mesh.setMatrixAt(i, this._tmpObj.matrix);
-        }
-        this.mesh.instanceMatrix.needsUpdate = true;
-        this.renderer.render(this.scene, this.camera);
+  /**
+   * Apply runtime config changes (called by CursorEffect.setConfig)
+   *
+   * Physics keys (GRAVITY, FRICTION, WALL_BOUNCE, MAX_VEL, LEADER_EASE,
+   * FOLLOW_CURSOR) are read every step. COUNT / MAX_USER_BALLS rebuild the
+   * buffers and mesh (user ball slots shrink back to MAX_USER_BALLS if fewer
+   * users are connected), sizes are re-rolled for MIN_SIZE / MAX_SIZE, and the
+   * palette, lights and collision sound are updated in place.
+   *
+   * @param {string[]} changed - Config keys whose values changed
+   * @protected
+   */
+  _applyConfig(changed) {
+    const has = (...keys) => keys.some((key) => changed.includes(key));
+
+    // Reseed first so balls added by a COUNT change below use the new seed
+    if (has("SEED")) {
+      this.physics.seed(this.config.SEED);
+    }
+
+    if (has("COUNT", "MAX_USER_BALLS")) {
+      this._userSlots = this.config.MAX_USER_BALLS;
+      this._rebuildBalls();
+    } else if (has("PALETTE")) {
+      this._applyPalette();
+    }
+
+    if (has("MIN_SIZE", "MAX_SIZE")) {
+      this.physics.rerollSizes(this.config.MIN_SIZE, this.config.MAX_SIZE);
+    }
+
+    if (has("PHYSICS_WORKER")) {
+      this._createPhysics();
+    }
+
+    if (has("BOUNDARY")) {
+      this._boundary = this._resolveBoundary();
+    }
+
+    if (has("OBSTACLES")) {
+      this._updateObstacles();
+    }
+
+    if (has("AMBIENT_COLOR", "AMBIENT_INTENSITY", "LIGHT_INTENSITY")) {
+      this.ambient.color.set(this.config.AMBIENT_COLOR);
+      this.ambient.intensity = this.config.AMBIENT_INTENSITY;
+      this.keyLight.intensity = this.config.LIGHT_INTENSITY;
+      this.topLeftLight.intensity = this.config.LIGHT_INTENSITY * 2.0;
+    }
+
+    if (has("BENCHMARK") && !this.config.BENCHMARK) {
+      this._bench = null;
+      this._benchEl?.remove();
+      this._benchEl = null;
+    }
+
+    if (has("collisionSoundUrl") && this.soundEngine) {
+      this.soundEngine.loadCollisionSound(this.config.collisionSoundUrl);
+    }
+  }
+
+  // ---------- Audio System ----------
+  // Audio system is now handled by BallpitSoundEngine
+
+  // ---------- User ball lifecycle callbacks ----------
+
+  /**
+   * Called by InputManager when a new user ball is dynamically spawned.
+   * Hides the ball slot; the physics snaps a hidden user ball to its
+   * pointer on the first step it is shown, so it never slides in from the
+   * slot's old position.
+   *
+   * @param {string} userType - The user type identifier
+   * @param {number} ballIndex - The assigned ball index (≥ COUNT)
+   */
+  onUserBallSpawned(userType, ballIndex) {
+    // More users than slots: double the slots (recycled indices never need this)
+    if (this.physics && ballIndex >= this.config.COUNT + this._userSlots) {
+      this._userSlots = Math.max(2 * this._userSlots, ballIndex + 1 - this.config.COUNT);
+      this._rebuildBalls();
+    }
+    // Ball is hidden (size 0) until the first pointer update moves it into view
+    this.physics?.setSize(ballIndex, 0);
+    this._applyUserBallColors();
+  }
+
+  /**
+   * Called by InputManager when a user ball is removed (user disconnected or timed out).
+   * Hides the ball slot immediately.
+   *
+   * @param {string} userType - The user type identifier
+   * @param {number} ballIndex - The ball index being freed
+   */
+  onUserBallRemoved(userType, ballIndex) {
+    this.physics?.setSize(ballIndex, 0);
+  }
+
+  /**
+   * Hide the mouse user ball when the cursor leaves the window (autoMouseEvents)
+   * @protected
+   */
+  _onAutoMouseLeave() {
+    if (this.config.FOLLOW_CURSOR) {
+      const mouseIndex = this.inputManager.getUserBallIndices().get("mouse");
+      if (mouseIndex !== undefined) {
+        this.physics?.setSize(mouseIndex, 0);
       }
-  
-      // ---------- Resize ----------
-      _resize() {
-        const pr = Math.min(window.devicePixelRatio || 1, 2);
-        const cssW = window.innerWidth;
-        const cssH = window.innerHeight;
-  
-        // match canvas backing store to CSS size * pixelRatio
-        const bw = Math.floor(cssW * pr);
-        const bh = Math.floor(cssH * pr);
-        if (this.canvas.width !== bw || this.canvas.height !== bh) {
-          this.canvas.width = bw;
-          this.canvas.height = bh;
-        }
-        this.renderer.setSize(cssW, cssH, false);
-  
-        this.camera.aspect = cssW / cssH;
-        this.camera.updateProjectionMatrix();
-  
-        const fovRad = (this.camera.fov * Math.PI) / 180;
-        const wHeight = 2 * Math.tan(fovRad / 2) * this.camera.position.length();
-        const wWidth = wHeight * this.camera.aspect;
-        this.bounds.x = wWidth / 2;
-        this.bounds.y = wHeight / 2;
-        this.bounds.z = 2;
+    }
+  }
+
+  // ---------- Input plumbing ----------
+
+  /**
+   * Followers chase the target pointer; re-aim whenever a pointer moves
+   * @protected
+   */
+  _onPointerMove() {
+    this._followTarget();
+  }
+
+  /**
+   * Hand the lead to the next target when the leading pointer leaves
+   * @protected
+   */
+  _onPointerRemove() {
+    this._followTarget();
+  }
+
+  /** @private */
+  _followTarget() {
+    // Use InputManager's target pointer logic
+    const targetPointer = this.inputManager.getTargetPointer();
+
+    if (!targetPointer || !this.ready) return;
+
+    // Project target coords into world plane
+    if (this._clientToWorld(targetPointer.x, targetPointer.y, this.planeHit)) {
+      this.center.copy(this.planeHit);
+    }
+  }
+
+  /**
+   * Project client pixel coordinates onto the z=0 follow plane
+   *
+   * @param {number} x - X coordinate in client pixels
+   * @param {number} y - Y coordinate in client pixels
+   * @param {THREE.Vector3} out - Receives the world position
+   * @returns {boolean} False if the ray misses the plane
+   * @private
+   */
+  _clientToWorld(x, y, out) {
+    const w = window.innerWidth;
+    const h = window.innerHeight;
+    this.mouseNdc.set((x / w) * 2 - 1, -(y / h) * 2 + 1);
+    this.raycaster.setFromCamera(this.mouseNdc, this.camera);
+    this.camera.getWorldDirection(this.followPlane.normal);
+    return !!this.raycaster.ray.intersectPlane(this.followPlane, out);
+  }
+
+  /**
+   * BOUNDARY if it is a known mode, else "open-top" (with a warning)
+   * @returns {string}
+   * @private
+   */
+  _resolveBoundary() {
+    const mode = this.config.BOUNDARY;
+    if (BOUNDARY_MODES.includes(mode)) return mode;
+    console.warn(`[Ballpit] Unknown BOUNDARY "${mode}", using "open-top"`);
+    return 'open-top';
+  }
+
+  /**
+   * Convert OBSTACLES from client pixels to world-space capsules
+   *
+   * Supported shapes (coordinates and radii in client pixels):
+   * - {type: "circle", x, y, r}
+   * - {type: "capsule", x1, y1, x2, y2, r}
+   * - {type: "segment", x1, y1, x2, y2}
+   *
+   * @private
+   */
+  _updateObstacles() {
+    const list = Array.isArray(this.config.OBSTACLES) ? this.config.OBSTACLES : [];
+    const a = new this.THREE.Vector3();
+    const b = new this.THREE.Vector3();
+    const edge = new this.THREE.Vector3();
+    const num = (...values) => values.every((n) => typeof n === 'number' && Number.isFinite(n));
+
+    this._worldObstacles = [];
+    for (const o of list) {
+      // Every shape becomes a capsule: two ends and a radius
+      let shape = null;
+      if (o?.type === 'circle') shape = [o.x, o.y, o.x, o.y, o.r];
+      else if (o?.type === 'capsule') shape = [o.x1, o.y1, o.x2, o.y2, o.r];
+      else if (o?.type === 'segment') shape = [o.x1, o.y1, o.x2, o.y2, 0];
+      if (!shape || !num(...shape) || shape[4] < 0) {
+        console.warn('[Ballpit] Ignoring invalid obstacle:', o);
+        continue;
       }
-  
-      // ---------- Utils ----------
-      _debounce(fn, ms) {
-        let t;
-        return (...args) => {
-          clearTimeout(t);
-          t = setTimeout(() => fn.apply(this, args), ms);
-        };
+      const [x1, y1, x2, y2, r] = shape;
+      // Project both ends and one point on the rim onto the ball plane
+      if (!this._clientToWorld(x1, y1, a) || !this._clientToWorld(x2, y2, b) ||
+          !this._clientToWorld(x1 + r, y1, edge)) continue;
+      this._worldObstacles.push({ ax: a.x, ay: a.y, bx: b.x, by: b.y, r: edge.distanceTo(a) });
+    }
+  }
+
+  /**
+   * Shockwave at client pixel coordinates (gaze dwell action)
+   *
+   * Every follower ball within reach is kicked away from the point, harder the
+   * closer it is, with a collision sound scaled to how many balls were hit.
+   *
+   * @param {number} x - X coordinate in client pixels
+   * @param {number} y - Y coordinate in client pixels
+   * @param {string} [pointerId="default"] - Pointer that triggered the shockwave
+   * @public
+   */
+  burst(x, y, pointerId = "default") {
+    if (!this.ready) return;
+
+    const hit = new this.THREE.Vector3();
+    if (!this._clientToWorld(x, y, hit)) return;
+
+    const reach = Math.min(this.bounds.x, this.bounds.y) * 0.6;
+    // The collision sound plays with the next step result (see _onStepResult)
+    this.physics.kick(hit.x, hit.y, hit.z, reach, this.config.MAX_VEL);
+  }
+
+  // ---------- Frame loop ----------
+  // Called by CursorEffect's loop with dt clamped to _maxDt; skipped while paused
+  // Inactive users are faded out and removed by the InputManager (see tick())
+  _update(dt) {
+    this._stepPhysics(dt);
+  }
+
+  /**
+   * Play the collision sounds of a frame's physics steps and record their time
+   *
+   * Called directly after in-thread steps, or when the worker's snapshot
+   * arrives.
+   *
+   * @param {{contacts: number, intensity: number, impacts: number, impactIntensity: number,
+   *   kicked: number, stepMs: number, steps: number}} result
+   * @private
+   */
+  _onStepResult(result) {
+    if (this.soundEngine) {
+      // Burst shockwave, louder the more balls it hit
+      if (result.kicked > 0) this.soundEngine.playCollision(Math.min(0.4 + result.kicked / 20, 1.0));
+      // Loudest of the user-ball contacts and the follower-follower hits
+      // (the sound engine's cooldown would drop the second sound anyway)
+      const intensity = Math.max(
+        result.contacts > 0 ? result.intensity : 0,
+        result.impacts > 0 ? result.impactIntensity : 0,
+      );
+      if (intensity > 0) this.soundEngine.playCollision(intensity);
+    }
+    if (this.config.BENCHMARK && result.steps > 0) this._recordStep(result.stepMs, result.steps);
+  }
+
+  // ---------- Benchmark ----------
+
+  /**
+   * Collect the time of a frame's steps and publish a report once a second
+   * @private
+   */
+  _recordStep(ms, steps) {
+    const now = performance.now();
+    const bench = this._bench || (this._bench = { since: now, steps: 0, total: 0, max: 0 });
+    bench.steps += steps;
+    bench.total += ms;
+    bench.max = Math.max(bench.max, ms / steps);
+    if (now - bench.since < 1000) return;
+
+    this._benchReport = {
+      avgStepMs: bench.total / bench.steps,
+      maxStepMs: bench.max,
+      steps: bench.steps,
+      balls: this.config.COUNT,
+      users: this.inputManager.getUserBallIndices().size,
+    };
+    this._bench = null;
+
+    const r = this._benchReport;
+    const text = `Ballpit step ${r.avgStepMs.toFixed(2)} ms avg / ${r.maxStepMs.toFixed(2)} ms max` +
+      ` · ${r.balls} balls · ${r.users} users · ${r.steps} steps/s`;
+    this._showBenchmark(text);
+  }
+
+  /** @private */
+  _showBenchmark(text) {
+    if (!this._benchEl) {
+      const el = document.createElement('div');
+      Object.assign(el.style, {
+        position: 'fixed',
+        left: '8px',
+        bottom: '8px',
+        padding: '4px 8px',
+        borderRadius: '4px',
+        font: '12px/1.4 monospace',
+        color: '#fff',
+        background: 'rgba(0, 0, 0, 0.6)',
+        pointerEvents: 'none',
+        zIndex: '10002',
+      });
+      document.body.appendChild(el);
+      this._benchEl = el;
+    }
+    this._benchEl.textContent = text;
+  }
+
+  // ---------- Physics ----------
+
+  /**
+   * Aim the user balls at their pointers and advance the simulation
+   *
+   * The simulation runs in FIXED_STEP steps; the frame time left over is
+   * carried to the next frame and used to interpolate the rendered balls.
+   *
+   * @private
+   */
+  _stepPhysics(dt) {
+    const { FOLLOW_CURSOR, LEADER_EASE } = this.config;
+
+    // Cache user ball indices once per frame to avoid repeated Map allocations
+    const userBallIndices = this.inputManager.getUserBallIndices();
+
+    // --- user balls: kinematic targets (indices COUNT … COUNT+user slots-1)
+    // These are dynamically spawned balls that live outside the follower pool
+    // and never interfere with the follower indices. Size 0 hides a ball
+    // whose pointer is gone, or every user ball when FOLLOW_CURSOR is off.
+    const users = [];
+    const hit = this.planeHit;
+    let mouseBallIndex = undefined;
+    for (const [userType, ballIndex] of userBallIndices) {
+      const userPointer = FOLLOW_CURSOR ? this.inputManager.getPointer(userType) : null;
+      if (!userPointer || !this._clientToWorld(userPointer.x, userPointer.y, hit)) {
+        users.push({ index: ballIndex, x: 0, y: 0, z: 0, ease: 0, size: 0 });
+        continue;
       }
+      // A hidden ball snaps to its pointer in the physics, on whichever step
+      // (or worker message) first shows it; no per-frame flag to lose
+      users.push({
+        index: ballIndex,
+        x: hit.x,
+        y: hit.y,
+        z: 0,
+        ease: LEADER_EASE,
+        // Shrinks away while the user's pointer fades out
+        size: Math.max(this.config.MAX_SIZE, 0.36) * this.inputManager.getFade(userType),
+      });
+      if (userType === "mouse") mouseBallIndex = ballIndex;
     }
-  
+
+    const result = this.physics.advance(dt, {
+      FIXED_STEP: this.config.FIXED_STEP,
+      GRAVITY: this.config.GRAVITY,
+      FRICTION: this.config.FRICTION,
+      WALL_BOUNCE: this.config.WALL_BOUNCE,
+      RESTITUTION: this.config.RESTITUTION,
+      MAX_VEL: this.config.MAX_VEL,
+      BOUNDARY: this._boundary,
+      obstacles: this._worldObstacles,
+      bounds: {
+        x: this.bounds.x,
+        y: this.bounds.y,
+        z: Math.max(this.bounds.z, this.config.MAX_SIZE || 1),
+      },
+    }, users);
+    // Worker results arrive later through onResult
+    if (result) this._onStepResult(result);
+
+    // Key light tracks the mouse user ball (or stays at last position)
+    if (mouseBallIndex !== undefined) {
+      const p = this.physics.positions;
+      this.keyLight.position.set(p[3 * mouseBallIndex], p[3 * mouseBallIndex + 1], 5);
+    }
+  }
+
+  // ---------- Render ----------
+  _render() {
+    // With worker physics the positions are interpolated between snapshots
+    const { positions: p, sizes: s } = this.physics.getRenderState();
+    const TOTAL = Math.min(this.mesh.count, s.length);
+
+    for (let i = 0; i < TOTAL; i++) {
+      const b = 3 * i;
+      this._tmpObj.position.set(p[b + 0], p[b + 1], p[b + 2]);
+      this._tmpObj.scale.setScalar(Math.max(s[i], 0));
+      this._tmpObj.updateMatrix();
+      this.mesh.setMatrixAt(i, this._tmpObj.matrix);
+    }
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  // ---------- Resize ----------
+  _resize() {
+    const pr = Math.min(window.devicePixelRatio || 1, 2);
+    const cssW = window.innerWidth;
+    const cssH = window.innerHeight;
+
+    // match canvas backing store to CSS size * pixelRatio
+    const bw = Math.floor(cssW * pr);
+    const bh = Math.floor(cssH * pr);
+    if (this.canvas.width !== bw || this.canvas.height !== bh) {
+      this.canvas.width = bw;
+      this.canvas.height = bh;
+    }
+    this.renderer.setSize(cssW, cssH, false);
+
+    this.camera.aspect = cssW / cssH;
+    this.camera.updateProjectionMatrix();
+
+    const fovRad = (this.camera.fov * Math.PI) / 180;
+    const wHeight = 2 * Math.tan(fovRad / 2) * this.camera.position.length();
+    const wWidth = wHeight * this.camera.aspect;
+    this.bounds.x = wWidth / 2;
+    this.bounds.y = wHeight / 2;
+    this.bounds.z = 2;
+
+    // Obstacles are pinned to the screen, so they move with the world bounds
+    this._updateObstacles();
+  }
+}
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = WebGLBallpitCursor;
 }
 
+/**
+ * Config keys that can be tuned for the whole session (see effect-settings.js)
+ * @type {Object}
+ * @static
+ */
+WebGLBallpitCursor.SETTINGS_SCHEMA = {
+  COUNT: { type: "integer", min: 1, max: 1500, step: 10, default: 50, label: "Ball Count", panel: true },
+  MIN_SIZE: { type: "number", min: 0.1, max: 2, step: 0.1, default: 0.6, label: "Min Size" },
+  MAX_SIZE: { type: "number", min: 0.5, max: 3, step: 0.1, default: 1.2, label: "Max Size" },
+  GRAVITY: { type: "number", min: 0, max: 0.1, step: 0.005, default: 0.02, label: "Gravity", panel: true },
+  FRICTION: { type: "number", min: 0.9, max: 0.999, step: 0.001, default: 0.998, label: "Friction" },
+  WALL_BOUNCE: { type: "number", min: 0.1, max: 1, step: 0.05, default: 0.95, label: "Bounce" },
+  RESTITUTION: { type: "number", min: 0, max: 1, step: 0.05, default: 0.6, label: "Ball Bounce" },
+  MAX_VEL: { type: "number", min: 0.05, max: 1, step: 0.05, default: 0.2, label: "Max Speed" },
+  FOLLOW_CURSOR: { type: "boolean", default: true, label: "Follow Cursor" },
+  PALETTE: {
+    type: "palette",
+    default: [0xff6b6b, 0x4ecdc4, 0x45b7d1, 0x96ceb4, 0xfeca57, 0xff9ff3,
+              0x54a0ff, 0x5f27cd, 0x00d2d3, 0xff9f43, 0xee5a24, 0x0abde3,
+              0x006ba6, 0x8338ec, 0x3a86ff, 0xffffff, 0xf8f9fa, 0xe9ecef, 0xffffff],
+    label: "Palette",
+  },
+};
+
 if (typeof window !== 'undefined') {
   window.WebGLBallpitCursor = WebGLBallpitCursor;
 }
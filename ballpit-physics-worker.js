@@ -0,0 +1,74 @@
+/**
+ * Ballpit Physics Worker - Steps BallpitPhysics off the main thread
+ *
+ * Loaded as a module worker by WorkerBallpitPhysics (ballpit-physics.js).
+ *
+ * Messages in:
+ * - {type: "state", version, count, total, positions, velocities, sizes, masses} - Replace the buffers
+ * - {type: "size", index, size}                  - Set one ball's radius
+ * - {type: "mass", index, mass}                  - Override one ball's mass
+ * - {type: "kick", x, y, z, reach, strength}     - Burst shockwave
+ * - {type: "seed", seed}                        - Restart the random generator
+ * - {type: "advance", version, dt, params, users, spare} - Advance by frame
+ *   time in fixed steps; spare holds old snapshot buffers to reuse
+ *
+ * Messages out:
+ * - {type: "stepped", version, positions, velocities, sizes, result} - Snapshot
+ *   after advancing, with the buffers transferred
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ */
+
+// Import the shared simulation
+import BallpitPhysics from "./ballpit-physics.js";
+
+const physics = new BallpitPhysics();
+
+/**
+ * Copy a buffer into a spare of the same length, or a new array
+ * @param {Float32Array} source
+ * @param {Float32Array[]} spare
+ * @returns {Float32Array}
+ */
+function snapshot(source, spare) {
+  const i = spare.findIndex((a) => a.length === source.length);
+  const out = i >= 0 ? spare.splice(i, 1)[0] : new Float32Array(source.length);
+  out.set(source);
+  return out;
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  switch (msg.type) {
+    case "state":
+      physics.setState(msg);
+      break;
+    case "seed":
+      physics.seed(msg.seed);
+      break;
+    case "size":
+      physics.setSize(msg.index, msg.size);
+      break;
+    case "mass":
+      physics.setMass(msg.index, msg.mass);
+      break;
+    case "kick":
+      physics.kick(msg.x, msg.y, msg.z, msg.reach, msg.strength);
+      break;
+    case "advance": {
+      const result = physics.advance(msg.dt, msg.params, msg.users);
+      const spare = msg.spare || [];
+      const positions = snapshot(physics.positions, spare);
+      const velocities = snapshot(physics.velocities, spare);
+      const sizes = snapshot(physics.sizes, spare);
+      self.postMessage(
+        { type: "stepped", version: msg.version, positions, velocities, sizes, result },
+        [positions.buffer, velocities.buffer, sizes.buffer],
+      );
+      break;
+    }
+    default:
+      console.warn("[BallpitPhysicsWorker] Unknown message:", msg.type);
+  }
+};
@@ -0,0 +1,894 @@
+/**
+ * Ballpit Physics - Ball simulation shared by the main thread and a worker
+ *
+ * Holds the ballpit's packed Float32Array buffers (positions, velocities and
+ * sizes; COUNT follower balls followed by the user ball slots) and steps
+ * them. The class has no THREE.js or DOM dependency, so the same code runs
+ * in-thread (BallpitPhysics) or in a Web Worker (see
+ * ballpit-physics-worker.js and WorkerBallpitPhysics).
+ *
+ * Balls collide with impulses: each ball's mass comes from its volume (or an
+ * override set with setMass()) and RESTITUTION sets how much of the closing
+ * speed survives a hit. User balls are kinematic, i.e. infinitely heavy:
+ * the owner projects each user's pointer into
+ * world space and passes the targets to advance(). Sounds are left to the
+ * owner too: advance() returns how many balls collided and how hard.
+ *
+ * The balls are kept in by one of the BOUNDARY_MODES and bounce off static
+ * obstacles: capsules in world space on the x/y plane ({ax, ay, bx, by, r};
+ * a circle is a capsule with a == b, a line segment one with r = 0). The
+ * owner converts the obstacles from screen coordinates.
+ *
+ * advance() runs the simulation in fixed steps (FIXED_STEP seconds) with an
+ * accumulator, so it behaves the same at 30, 60 or 120 Hz, and
+ * getRenderState() interpolates between the last two steps. Every random
+ * number comes from a seeded generator: with the same seed, buffers and
+ * inputs, two runs produce the same balls step for step.
+ *
+ * WorkerBallpitPhysics keeps a main-thread copy of the buffers for
+ * rendering. Each frame it sends the frame time to the worker, which advances
+ * its own buffers and hands a snapshot back as transferables (no copy through the
+ * structured clone). The renderer interpolates between the last two
+ * snapshots, so balls move smoothly even when a snapshot arrives late.
+ * SharedArrayBuffer is not used: it needs a cross-origin isolated page, which
+ * the Squidly iframe is not.
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class BallpitPhysics
+ */
+
+// Import collision broadphase
+import SpatialGrid from "./spatial-grid.js";
+
+/**
+ * How the box holds the balls:
+ * - "open-top": walls left, right and bottom; balls can fly out of the top
+ * - "box":      walls on all four sides
+ * - "wrap":     no walls; a ball leaving one side comes back on the other
+ * - "bowl":     a round bottom as wide as the screen allows, open at the top
+ * @constant {string[]}
+ */
+const BOUNDARY_MODES = ["open-top", "box", "wrap", "bowl"];
+
+/**
+ * Most fixed steps advance() runs per call; a longer backlog (e.g. after the
+ * tab was hidden) is dropped instead of freezing the page to catch up
+ * @constant {number}
+ */
+const MAX_STEPS_PER_ADVANCE = 8;
+
+/**
+ * Slack (s) when comparing the accumulator with the step length, so rounding
+ * in frame times (e.g. two 1/120 s frames) does not delay a step by a frame
+ * @constant {number}
+ */
+const STEP_EPSILON = 1e-6;
+
+/**
+ * Closing speed (world units per step) below which a contact is treated as
+ * resting and does not bounce, so stacked balls settle instead of jittering
+ * @constant {number}
+ */
+const RESTING_SPEED = 0.005;
+
+/**
+ * Follower hits softer than this (closing speed / MAX_VEL) are not reported
+ * as impacts, so resting contacts stay silent
+ * @constant {number}
+ */
+const MIN_IMPACT = 0.1;
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ *
+ * @param {number|null} seed - 32-bit seed, or null for Math.random
+ * @returns {function(): number} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  if (seed === null || seed === undefined) return Math.random;
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class BallpitPhysics {
+  /**
+   * @param {Object} [options={}]
+   * @param {number|null} [options.seed=null] - Seed for reproducible runs (null = Math.random)
+   */
+  constructor({ seed = null } = {}) {
+    /** @type {Float32Array} Packed x, y, z per ball */
+    this.positions = new Float32Array(0);
+
+    /** @type {Float32Array} Packed vx, vy, vz per ball */
+    this.velocities = new Float32Array(0);
+
+    /** @type {Float32Array} Radius per ball (0 = hidden) */
+    this.sizes = new Float32Array(0);
+
+    /** @type {Float32Array} Mass override per ball (0 = derive from the radius) */
+    this.masses = new Float32Array(0);
+
+    /** @type {number} Follower balls (indices 0 … count-1) */
+    this.count = 0;
+
+    /** @type {number} Followers plus user ball slots */
+    this.total = 0;
+
+    /** @type {SpatialGrid} Collision broadphase, rebuilt every step */
+    this._grid = new SpatialGrid();
+
+    /** @type {number} Balls kicked by kick() since the last step */
+    this._kicked = 0;
+
+    /** @type {function(): number} Random numbers in [0, 1) */
+    this._random = createRandom(seed);
+
+    /** @type {number} Simulated time (s) not yet stepped */
+    this._accumulator = 0;
+
+    /** @type {number} Fixed step length (s) of the last advance() */
+    this._fixedStep = 1 / 60;
+
+    /** @type {Float32Array|null} Positions before the last fixed step */
+    this._prevPositions = null;
+
+    /** @type {Float32Array} Interpolated positions handed to the renderer */
+    this._renderPositions = new Float32Array(0);
+  }
+
+  /**
+   * Restart the random generator
+   * @param {number|null} seed - 32-bit seed, or null for Math.random
+   * @public
+   */
+  seed(seed) {
+    this._random = createRandom(seed);
+  }
+
+  // === Buffers =============================================================
+
+  /**
+   * Reallocate the buffers for a new follower count and number of slots
+   *
+   * Existing followers keep their state; extra followers are seeded above the
+   * top of the screen (or anywhere inside the bounds on the first call) so
+   * they drop in. User balls are copied to their new slots.
+   *
+   * @param {number} count - Follower balls
+   * @param {number} total - Followers plus user ball slots
+   * @param {Object} options
+   * @param {Array<{from: number, to: number}>} [options.moves=[]] - User ball slot moves
+   * @param {number} options.minSize - Smallest follower radius
+   * @param {number} options.maxSize - Largest follower radius
+   * @param {{x: number, y: number, z: number}} options.bounds - Half extents of the box
+   * @public
+   */
+  resize(count, total, { moves = [], minSize, maxSize, bounds }) {
+    const oldP = this.positions, oldV = this.velocities, oldS = this.sizes, oldM = this.masses;
+    const hadBalls = this.total > 0;
+    const keep = Math.min(this.count, count);
+
+    this.positions = new Float32Array(3 * total);
+    this.velocities = new Float32Array(3 * total);
+    this.sizes = new Float32Array(total);
+    this.masses = new Float32Array(total);
+
+    this.positions.set(oldP.subarray(0, 3 * keep));
+    this.velocities.set(oldV.subarray(0, 3 * keep));
+    this.sizes.set(oldS.subarray(0, keep));
+    this.masses.set(oldM.subarray(0, keep));
+    for (let i = keep; i < count; i++) {
+      this._seedFollower(i, hadBalls, minSize, maxSize, bounds);
+    }
+
+    // User ball slots start hidden unless a user ball moves into them
+    for (const { from, to } of moves) {
+      if (from >= oldS.length || to >= total) continue;
+      for (let k = 0; k < 3; k++) {
+        this.positions[3 * to + k] = oldP[3 * from + k];
+        this.velocities[3 * to + k] = oldV[3 * from + k];
+      }
+      this.sizes[to] = oldS[from];
+      this.masses[to] = oldM[from];
+    }
+
+    this.count = count;
+    this.total = total;
+    this._prevPositions = null;
+  }
+
+  /**
+   * Replace the buffers with copies of another engine's state
+   *
+   * @param {{count: number, total: number, positions: Float32Array,
+   *   velocities: Float32Array, sizes: Float32Array, masses: Float32Array}} state
+   * @public
+   */
+  setState({ count, total, positions, velocities, sizes, masses }) {
+    this.count = count;
+    this.total = total;
+    this.positions = Float32Array.from(positions);
+    this.velocities = Float32Array.from(velocities);
+    this.sizes = Float32Array.from(sizes);
+    this.masses = masses && masses.length === sizes.length
+      ? Float32Array.from(masses)
+      : new Float32Array(sizes.length);
+    this._prevPositions = null;
+  }
+
+  /**
+   * Set the radius of one ball (0 hides it)
+   * @param {number} index - Ball index
+   * @param {number} size - Radius
+   * @public
+   */
+  setSize(index, size) {
+    if (index < this.total) this.sizes[index] = size;
+  }
+
+  /**
+   * Override the mass of one ball
+   *
+   * By default a ball weighs its radius cubed, so a ball twice as wide is
+   * eight times as heavy. User balls ignore this: they are kinematic.
+   *
+   * @param {number} index - Ball index
+   * @param {number} mass - Mass, or 0 to derive it from the radius again
+   * @public
+   */
+  setMass(index, mass) {
+    if (index < this.total) this.masses[index] = mass > 0 ? mass : 0;
+  }
+
+  /**
+   * Mass of one ball (override or radius cubed)
+   * @param {number} index - Ball index
+   * @returns {number}
+   * @public
+   */
+  getMass(index) {
+    const r = this.sizes[index];
+    return this.masses[index] > 0 ? this.masses[index] : r * r * r;
+  }
+
+  /**
+   * Give every follower a new random radius
+   * @param {number} minSize - Smallest radius
+   * @param {number} maxSize - Largest radius
+   * @public
+   */
+  rerollSizes(minSize, maxSize) {
+    for (let i = 0; i < this.count; i++) {
+      this.sizes[i] = minSize + this._random() * (maxSize - minSize);
+    }
+  }
+
+  /** @private */
+  _seedFollower(i, fromTop, minSize, maxSize, bounds) {
+    const spread = (range) => (this._random() - 0.5) * range;
+    const b = 3 * i;
+    this.sizes[i] = minSize + this._random() * (maxSize - minSize);
+    this.positions[b + 0] = spread(2 * bounds.x);
+    this.positions[b + 1] = fromTop
+      ? bounds.y + this.sizes[i] + this._random() * bounds.y
+      : spread(2 * bounds.y);
+    this.positions[b + 2] = spread(2 * bounds.z);
+    this.velocities[b + 0] = spread(0.2);
+    this.velocities[b + 1] = spread(0.2);
+    this.velocities[b + 2] = spread(0.2);
+  }
+
+  // === Simulation ==========================================================
+
+  /**
+   * Kick every follower within reach away from a point (burst shockwave)
+   *
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @param {number} z - World Z
+   * @param {number} reach - Radius of the shockwave
+   * @param {number} strength - Kick at the centre, fading to 0 at reach
+   * @returns {number} Number of balls kicked (also reported by the next advance())
+   * @public
+   */
+  kick(x, y, z, reach, strength) {
+    const p = this.positions, v = this.velocities;
+    let hits = 0;
+
+    for (let i = 0; i < this.count; i++) {
+      const b = 3 * i;
+      const dx = p[b] - x, dy = p[b + 1] - y, dz = p[b + 2] - z;
+      const dist = Math.hypot(dx, dy, dz);
+      if (dist >= reach) continue;
+
+      // Balls right at the centre get a random direction
+      const nx = dist > 1e-4 ? dx / dist : this._random() - 0.5;
+      const ny = dist > 1e-4 ? dy / dist : this._random() - 0.5;
+      const nz = dist > 1e-4 ? dz / dist : 0;
+      const kick = strength * (1 - dist / reach);
+      v[b] += nx * kick; v[b + 1] += ny * kick; v[b + 2] += nz * kick;
+      hits++;
+    }
+
+    this._kicked += hits;
+    return hits;
+  }
+
+  /**
+   * Advance the simulation by frame time, in fixed steps
+   *
+   * Frame time is collected in an accumulator and the simulation steps
+   * FIXED_STEP at a time, so the result does not depend on the frame rate.
+   * What is left over sets the interpolation of getRenderState().
+   *
+   * @param {number} dt - Frame time in seconds
+   * @param {Object} params - step() params plus FIXED_STEP (s, default 1/60)
+   * @param {Array<Object>} users - User ball targets (see step())
+   * @returns {{contacts: number, intensity: number, impacts: number, impactIntensity: number,
+   *   kicked: number, stepMs: number, steps: number}}
+   *   Results of all steps taken (stepMs is their total time)
+   * @public
+   */
+  advance(dt, params, users) {
+    const h = params.FIXED_STEP > 0 ? params.FIXED_STEP : 1 / 60;
+    const total = {
+      contacts: 0, intensity: 0, impacts: 0, impactIntensity: 0, kicked: 0, stepMs: 0, steps: 0,
+    };
+    this._fixedStep = h;
+    this._accumulator += dt;
+
+    while (this._accumulator >= h - STEP_EPSILON && total.steps < MAX_STEPS_PER_ADVANCE) {
+      if (!this._prevPositions || this._prevPositions.length !== this.positions.length) {
+        this._prevPositions = new Float32Array(this.positions.length);
+      }
+      this._prevPositions.set(this.positions);
+
+      const result = this.step(h, params, users);
+      total.contacts += result.contacts;
+      total.intensity = Math.max(total.intensity, result.intensity);
+      total.impacts += result.impacts;
+      total.impactIntensity = Math.max(total.impactIntensity, result.impactIntensity);
+      total.kicked += result.kicked;
+      total.stepMs += result.stepMs;
+      total.steps++;
+      this._accumulator = Math.max(this._accumulator - h, 0);
+    }
+    // Too far behind: drop the backlog rather than spiral
+    if (this._accumulator >= h - STEP_EPSILON) this._accumulator = 0;
+
+    return total;
+  }
+
+  /**
+   * Advance the simulation by exactly one step
+   *
+   * Velocities are in world units per step, so dt only scales gravity;
+   * use advance() to keep steps a fixed length.
+   *
+   * @param {number} dt - Step length in seconds
+   * @param {Object} params - GRAVITY, FRICTION, WALL_BOUNCE, MAX_VEL,
+   *   RESTITUTION (ball-ball bounciness, default 0.6), BOUNDARY (one of
+   *   BOUNDARY_MODES, default "open-top"), bounds {x, y, z} (half extents)
+   *   and obstacles (array of {ax, ay, bx, by, r} capsules, default none)
+   * @param {Array<{index: number, x: number, y: number, z: number, ease: number, size: number}>} users -
+   *   User ball targets; size 0 hides the ball, and a hidden ball snaps to
+   *   its target (ignoring ease) on the step it is shown again
+   * @returns {{contacts: number, intensity: number, impacts: number, impactIntensity: number,
+   *   kicked: number, stepMs: number}}
+   *   User-ball contacts this step and the strongest one (0-1), audible
+   *   follower hits (on balls and obstacles) and the strongest one (0-1), balls kicked since
+   *   the last step, and how long the step took
+   * @public
+   */
+  step(dt, params, users) {
+    const t0 = performance.now();
+    const { GRAVITY, FRICTION, WALL_BOUNCE, MAX_VEL, bounds } = params;
+    const RESTITUTION = params.RESTITUTION ?? 0.6;
+    const BOUNDARY = params.BOUNDARY || "open-top";
+    const obstacles = params.obstacles || [];
+    const COUNT = this.count;
+    const bx = bounds.x, by = bounds.y, bz = bounds.z;
+    const p = this.positions, v = this.velocities, s = this.sizes, m = this.masses;
+    const result = {
+      contacts: 0, intensity: 0, impacts: 0, impactIntensity: 0, kicked: this._kicked, stepMs: 0,
+    };
+    this._kicked = 0;
+
+    // --- user balls: kinematic, eased towards their pointer. Their velocity is
+    // the distance moved this step, which the collision response below uses.
+    for (const user of users) {
+      const bi = 3 * user.index;
+      if (user.index >= this.total) continue;
+      if (!(user.size > 0)) {
+        s[user.index] = 0;
+        continue;
+      }
+      // A ball that was hidden (new or rejoining user) jumps to its pointer
+      // and starts at rest instead of sliding in from its old position
+      const shown = s[user.index] > 0;
+      const ease = shown ? user.ease : 1;
+      v[bi]     = shown ? (user.x - p[bi])     * ease : 0;
+      v[bi + 1] = shown ? (user.y - p[bi + 1]) * ease : 0;
+      v[bi + 2] = shown ? (user.z - p[bi + 2]) * ease : 0;
+      p[bi]     += (user.x - p[bi])     * ease;
+      p[bi + 1] += (user.y - p[bi + 1]) * ease;
+      p[bi + 2] += (user.z - p[bi + 2]) * ease;
+      s[user.index] = user.size;
+    }
+
+    // --- broadphase: bucket followers into a grid whose cells fit the
+    // largest ball, so each ball only checks its neighbouring cells
+    let maxR = 0;
+    for (let i = 0; i < COUNT; i++) if (s[i] > maxR) maxR = s[i];
+    const grid = this._grid;
+    grid.build(p, COUNT, 2 * maxR);
+
+    // --- pairwise collisions: follower balls only (0 … COUNT-1)
+    // No cursor-ball skipping needed — user balls are outside this range.
+    let i = 0, invMi = 0;
+    const collide = (j) => {
+      if (j <= i) return; // each pair once
+      const bi = 3 * i, bj = 3 * j;
+      const dx = p[bi] - p[bj], dy = p[bi+1] - p[bj+1], dz = p[bi+2] - p[bj+2];
+      const dist = Math.hypot(dx, dy, dz);
+      const minDist = s[i] + s[j];
+      if (dist > 0 && dist < minDist) {
+        const nx = dx / dist, ny = dy / dist, nz = dz / dist;
+        const invMj = 1 / (m[j] > 0 ? m[j] : s[j] * s[j] * s[j]);
+        const invSum = invMi + invMj;
+
+        // positional correction, the lighter ball moving further
+        const overlap = (minDist - dist) / invSum;
+        p[bi] += nx * overlap * invMi; p[bi+1] += ny * overlap * invMi; p[bi+2] += nz * overlap * invMi;
+        p[bj] -= nx * overlap * invMj; p[bj+1] -= ny * overlap * invMj; p[bj+2] -= nz * overlap * invMj;
+
+        // impulse along the normal, only while the balls are closing
+        const vn = (v[bi] - v[bj]) * nx + (v[bi+1] - v[bj+1]) * ny + (v[bi+2] - v[bj+2]) * nz;
+        if (vn >= 0) return;
+        const e = -vn < RESTING_SPEED ? 0 : RESTITUTION;
+        const J = -(1 + e) * vn / invSum;
+        v[bi] += nx * J * invMi; v[bi+1] += ny * J * invMi; v[bi+2] += nz * J * invMi;
+        v[bj] -= nx * J * invMj; v[bj+1] -= ny * J * invMj; v[bj+2] -= nz * J * invMj;
+
+        const impact = Math.min(-vn / MAX_VEL, 1.0);
+        if (impact >= MIN_IMPACT) {
+          result.impacts++;
+          result.impactIntensity = Math.max(result.impactIntensity, impact);
+        }
+      }
+    };
+    for (i = 0; i < COUNT; i++) {
+      if (!(s[i] > 0)) continue;
+      invMi = 1 / (m[i] > 0 ? m[i] : s[i] * s[i] * s[i]);
+      grid.query(p[3 * i], p[3 * i + 1], s[i] + maxR, collide);
+    }
+
+    // --- user balls vs followers: a user ball is infinitely heavy, so the
+    // follower takes the whole correction and bounces off its moving surface
+    if (users.some((user) => user.size > 0)) {
+      // Followers moved apart above; re-bucket so no neighbour is missed
+      grid.build(p, COUNT, 2 * maxR);
+
+      let cx = 0, cy = 0, cz = 0, cr = 0, cvx = 0, cvy = 0, cvz = 0;
+      const repel = (i) => {
+        const b = 3 * i;
+        const dx = p[b] - cx, dy = p[b+1] - cy, dz = p[b+2] - cz;
+        const dist = Math.hypot(dx, dy, dz);
+        const minDist = cr + s[i];
+        if (dist > 0 && dist < minDist) {
+          const overlap = (minDist - dist);
+          const nx = dx / dist, ny = dy / dist, nz = dz / dist;
+          p[b] += nx * overlap; p[b+1] += ny * overlap; p[b+2] += nz * overlap;
+
+          const vn = (v[b] - cvx) * nx + (v[b+1] - cvy) * ny + (v[b+2] - cvz) * nz;
+          if (vn < 0) {
+            const e = -vn < RESTING_SPEED ? 0 : RESTITUTION;
+            const J = -(1 + e) * vn;
+            v[b] += nx * J; v[b+1] += ny * J; v[b+2] += nz * J;
+          }
+
+          // Cursor collisions are usually more energetic
+          result.contacts++;
+          result.intensity = Math.max(result.intensity, Math.min(overlap / minDist + Math.max(-vn, 0) / MAX_VEL, 1.0));
+        }
+      };
+      for (const user of users) {
+        if (!(user.size > 0) || user.index >= this.total) continue;
+        const bi = 3 * user.index;
+        cx = p[bi]; cy = p[bi + 1]; cz = p[bi + 2];
+        cvx = v[bi]; cvy = v[bi + 1]; cvz = v[bi + 2];
+        cr = s[user.index];
+        grid.query(cx, cy, cr + maxR, repel);
+      }
+    }
+
+    // --- physics for follower balls (0 … COUNT-1)
+    for (let i = 0; i < COUNT; i++) {
+      const b = 3 * i;
+
+      // gravity
+      v[b + 1] -= GRAVITY * s[i] * dt;
+
+      // friction
+      v[b + 0] *= FRICTION;
+      v[b + 1] *= FRICTION;
+      v[b + 2] *= FRICTION;
+
+      // clamp velocity length
+      const len = Math.hypot(v[b + 0], v[b + 1], v[b + 2]);
+      if (len > MAX_VEL) {
+        const f = MAX_VEL / (len || 1);
+        v[b + 0] *= f; v[b + 1] *= f; v[b + 2] *= f;
+      }
+
+      // integrate
+      p[b + 0] += v[b + 0];
+      p[b + 1] += v[b + 1];
+      p[b + 2] += v[b + 2];
+
+      // walls
+      const rad = s[i];
+      if (BOUNDARY === "wrap") {
+        // Wrap once the ball is fully off screen so it never pops
+        const wx = bx + rad, wy = by + rad;
+        if (p[b + 0] > wx) p[b + 0] -= 2 * wx;
+        else if (p[b + 0] < -wx) p[b + 0] += 2 * wx;
+        if (p[b + 1] > wy) p[b + 1] -= 2 * wy;
+        else if (p[b + 1] < -wy) p[b + 1] += 2 * wy;
+      } else {
+        // The bowl's straight sides rise from the ends of its round bottom
+        const side = BOUNDARY === "bowl" ? Math.min(bx, by) : bx;
+        if (Math.abs(p[b + 0]) + rad > side) {
+          p[b + 0] = Math.sign(p[b + 0]) * (side - rad);
+          v[b + 0] = -v[b + 0] * WALL_BOUNCE;
+        }
+        if (BOUNDARY === "bowl") {
+          const cy = side - by; // centre of the round bottom, which touches the floor
+          const dx = p[b + 0], dy = p[b + 1] - cy;
+          const dist = Math.hypot(dx, dy);
+          if (dy < 0 && dist + rad > side && dist > 0) {
+            this._bounceOff(b, -dx / dist, -dy / dist, dist + rad - side, WALL_BOUNCE);
+          }
+        } else if (p[b + 1] - rad < -by) {
+          p[b + 1] = -by + rad;
+          v[b + 1] = -v[b + 1] * WALL_BOUNCE;
+        }
+        if (BOUNDARY === "box" && p[b + 1] + rad > by) {
+          p[b + 1] = by - rad;
+          v[b + 1] = -v[b + 1] * WALL_BOUNCE;
+        }
+        // "open-top" and "bowl": no top wall - balls can move freely upward
+      }
+      if (Math.abs(p[b + 2]) + rad > bz) {
+        p[b + 2] = Math.sign(p[b + 2]) * (bz - rad);
+        v[b + 2] = -v[b + 2] * WALL_BOUNCE;
+      }
+
+      // static obstacles
+      for (const o of obstacles) {
+        const speed = this._collideObstacle(b, rad, o, WALL_BOUNCE);
+        const impact = Math.min(speed / MAX_VEL, 1.0);
+        if (impact >= MIN_IMPACT) {
+          result.impacts++;
+          result.impactIntensity = Math.max(result.impactIntensity, impact);
+        }
+      }
+    }
+
+    result.stepMs = performance.now() - t0;
+    return result;
+  }
+
+  /**
+   * Push a ball out of an obstacle capsule and bounce it off
+   *
+   * @param {number} b - Offset of the ball in the buffers (3 * index)
+   * @param {number} rad - Ball radius
+   * @param {{ax: number, ay: number, bx: number, by: number, r: number}} o - Capsule
+   * @param {number} bounce - Share of the closing speed kept
+   * @returns {number} Closing speed of the hit (0 if none)
+   * @private
+   */
+  _collideObstacle(b, rad, o, bounce) {
+    const p = this.positions;
+    const abx = o.bx - o.ax, aby = o.by - o.ay;
+    const len2 = abx * abx + aby * aby;
+
+    // closest point on the capsule's core segment
+    let t = len2 > 0 ? ((p[b] - o.ax) * abx + (p[b + 1] - o.ay) * aby) / len2 : 0;
+    t = Math.min(Math.max(t, 0), 1);
+    const dx = p[b] - (o.ax + abx * t), dy = p[b + 1] - (o.ay + aby * t);
+    const dist = Math.hypot(dx, dy);
+    const minDist = o.r + rad;
+    if (dist >= minDist) return 0;
+
+    // Centre right on the core: push out sideways from a segment, up from a circle
+    let nx = 0, ny = 1;
+    if (dist > 1e-6) {
+      nx = dx / dist; ny = dy / dist;
+    } else if (len2 > 0) {
+      const len = Math.sqrt(len2);
+      nx = -aby / len; ny = abx / len;
+    }
+    return this._bounceOff(b, nx, ny, minDist - dist, bounce);
+  }
+
+  /**
+   * Move a ball along a surface normal and reflect its velocity
+   *
+   * @param {number} b - Offset of the ball in the buffers (3 * index)
+   * @param {number} nx - Unit normal X, pointing away from the surface
+   * @param {number} ny - Unit normal Y
+   * @param {number} depth - How far the ball is inside the surface
+   * @param {number} bounce - Share of the closing speed kept
+   * @returns {number} Closing speed of the hit (0 if the ball was moving away)
+   * @private
+   */
+  _bounceOff(b, nx, ny, depth, bounce) {
+    const p = this.positions, v = this.velocities;
+    p[b] += nx * depth;
+    p[b + 1] += ny * depth;
+
+    const vn = v[b] * nx + v[b + 1] * ny;
+    if (vn >= 0) return 0;
+    v[b] -= (1 + bounce) * vn * nx;
+    v[b + 1] -= (1 + bounce) * vn * ny;
+    return -vn;
+  }
+
+  // === Rendering ===========================================================
+
+  /**
+   * Positions and sizes to draw this frame
+   *
+   * Positions are interpolated between the last two fixed steps by how much
+   * of the next step has already elapsed.
+   *
+   * @returns {{positions: Float32Array, sizes: Float32Array}}
+   * @public
+   */
+  getRenderState() {
+    const prev = this._prevPositions, curr = this.positions;
+    if (!prev || prev.length !== curr.length) {
+      return { positions: curr, sizes: this.sizes };
+    }
+    return {
+      positions: this._lerpPositions(prev, curr, Math.min(this._accumulator / this._fixedStep, 1)),
+      sizes: this.sizes,
+    };
+  }
+
+  /**
+   * Blend two position buffers into the render buffer
+   * @protected
+   */
+  _lerpPositions(prev, curr, t) {
+    if (this._renderPositions.length !== curr.length) {
+      this._renderPositions = new Float32Array(curr.length);
+    }
+    const out = this._renderPositions;
+    for (let k = 0; k < curr.length; k++) {
+      out[k] = prev[k] + (curr[k] - prev[k]) * t;
+    }
+    return out;
+  }
+
+  /**
+   * Release resources (nothing to do in-thread)
+   * @public
+   */
+  destroy() {}
+}
+
+/**
+ * Main-thread proxy that steps the physics in a Web Worker
+ *
+ * Has the same API as BallpitPhysics. Buffer changes (resize, sizes, masses)
+ * are applied to the main-thread copy and sent to the worker; advance() only
+ * posts the frame time (if the previous one is still running, its time is
+ * added to the next) and the copy is replaced whenever a snapshot comes back. onResult receives
+ * each step's result and onError is called if the worker fails, so the owner
+ * can fall back to in-thread physics (the copy stays usable).
+ *
+ * @class WorkerBallpitPhysics
+ * @extends BallpitPhysics
+ */
+class WorkerBallpitPhysics extends BallpitPhysics {
+  /**
+   * @param {Object} [options={}]
+   * @param {URL|string} [options.url] - Worker script (ballpit-physics-worker.js)
+   * @param {number|null} [options.seed=null] - Seed for the worker's random numbers
+   * @param {function(Object): void} [options.onResult] - Called with each step result
+   * @param {function(*): void} [options.onError] - Called once if the worker fails
+   * @throws {Error} If Web Workers are unavailable
+   */
+  constructor({
+    url = new URL("./ballpit-physics-worker.js", import.meta.url),
+    seed = null,
+    onResult = null,
+    onError = null,
+  } = {}) {
+    super({ seed });
+    if (typeof Worker === "undefined") throw new Error("Web Workers are not available");
+
+    this.onResult = onResult;
+    this.onError = onError;
+
+    /** @type {Worker} */
+    this._worker = new Worker(url, { type: "module" });
+
+    /** @type {boolean} Whether a step is running in the worker */
+    this._busy = false;
+
+    /** @type {number} Bumped whenever the buffers are replaced; stale snapshots are dropped */
+    this._version = 0;
+
+    /** @type {number} Frame time not yet sent to the worker */
+    this._pendingDt = 0;
+
+    /** @type {number} Arrival time of the current snapshot */
+    this._snapshotAt = 0;
+
+    /** @type {number} Time between the last two snapshots */
+    this._snapshotGap = 16;
+
+    /** @type {Float32Array[]} Old snapshot buffers the worker may reuse */
+    this._spare = [];
+
+    this._worker.onmessage = (e) => this._onMessage(e.data);
+    this._worker.onerror = (e) => this._fail(e);
+    this._worker.onmessageerror = (e) => this._fail(e);
+    this._post({ type: "seed", seed });
+  }
+
+  seed(seed) {
+    super.seed(seed);
+    this._post({ type: "seed", seed });
+  }
+
+  resize(count, total, options) {
+    super.resize(count, total, options);
+    this._sendState();
+  }
+
+  setState(state) {
+    super.setState(state);
+    this._sendState();
+  }
+
+  setSize(index, size) {
+    super.setSize(index, size);
+    this._post({ type: "size", index, size });
+  }
+
+  setMass(index, mass) {
+    super.setMass(index, mass);
+    this._post({ type: "mass", index, mass });
+  }
+
+  rerollSizes(minSize, maxSize) {
+    super.rerollSizes(minSize, maxSize);
+    this._sendState();
+  }
+
+  kick(x, y, z, reach, strength) {
+    // Applied in the worker; the count comes back with the next step result
+    this._post({ type: "kick", x, y, z, reach, strength });
+    return 0;
+  }
+
+  /**
+   * Send the frame time to the worker unless a step is still running
+   * @returns {null} The result is delivered to onResult
+   */
+  advance(dt, params, users) {
+    this._pendingDt += dt;
+    if (this._busy || !this._worker) return null;
+    this._busy = true;
+    const spare = this._spare.splice(0);
+    this._post(
+      { type: "advance", version: this._version, dt: this._pendingDt, params, users, spare },
+      spare.map((a) => a.buffer),
+    );
+    this._pendingDt = 0;
+    return null;
+  }
+
+  /**
+   * Positions interpolated between the last two snapshots
+   */
+  getRenderState() {
+    const prev = this._prevPositions, curr = this.positions;
+    if (!prev || prev.length !== curr.length) return { positions: curr, sizes: this.sizes };
+
+    const t = Math.min((performance.now() - this._snapshotAt) / this._snapshotGap, 1);
+    return { positions: this._lerpPositions(prev, curr, t), sizes: this.sizes };
+  }
+
+  destroy() {
+    this._worker?.terminate();
+    this._worker = null;
+  }
+
+  // === Internals ===========================================================
+
+  /** @private */
+  _sendState() {
+    this._version++;
+    this._prevPositions = null;
+    this._post({
+      type: "state",
+      version: this._version,
+      count: this.count,
+      total: this.total,
+      positions: this.positions,
+      velocities: this.velocities,
+      sizes: this.sizes,
+      masses: this.masses,
+    });
+  }
+
+  /** @private */
+  _post(message, transfer = []) {
+    if (!this._worker) return;
+    try {
+      this._worker.postMessage(message, transfer);
+    } catch (e) {
+      this._fail(e);
+    }
+  }
+
+  /** @private */
+  _onMessage(msg) {
+    if (msg.type !== "stepped") return;
+    this._busy = false;
+
+    // Buffers changed while the step was running: keep ours, recycle theirs
+    if (msg.version !== this._version) {
+      this._spare.push(msg.positions, msg.velocities, msg.sizes);
+      return;
+    }
+
+    // No fixed step was due: nothing moved, keep interpolating the last pair
+    if (!msg.result.steps) {
+      this._spare.push(msg.positions, msg.velocities, msg.sizes);
+      return;
+    }
+
+    const now = performance.now();
+    this._snapshotGap = Math.min(Math.max(now - this._snapshotAt, 1), 100);
+    this._snapshotAt = now;
+    if (this._prevPositions) this._spare.push(this._prevPositions);
+    this._spare.push(this.velocities, this.sizes);
+    this._prevPositions = this.positions;
+    this.positions = msg.positions;
+    this.velocities = msg.velocities;
+    this.sizes = msg.sizes;
+
+    if (typeof this.onResult === "function") this.onResult(msg.result);
+  }
+
+  /** @private */
+  _fail(error) {
+    if (!this._worker) return;
+    console.warn("[BallpitPhysics] Physics worker failed:", error);
+    this.destroy();
+    if (typeof this.onError === "function") this.onError(error);
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.BallpitPhysics = BallpitPhysics;
+  window.WorkerBallpitPhysics = WorkerBallpitPhysics;
+}
+
+// ES6 module export
+export default BallpitPhysics;
+export { BallpitPhysics, WorkerBallpitPhysics, BOUNDARY_MODES, createRandom };
@@ -0,0 +1,84 @@
+/**
+ * Ballpit Physics determinism check
+ *
+ * Runs the in-thread simulation headless and fails (non-zero exit) if a
+ * seeded run stops being reproducible:
+ * - the same seed gives identical balls at 60, 120 and 144 Hz frame rates
+ * - the same seed gives identical balls on a second run
+ * - a different seed gives different balls
+ *
+ * Run with Node 20.19 or later (no dependencies):
+ *
+ *   node ballpit-physics.test.js
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ */
+
+import assert from "node:assert/strict";
+import BallpitPhysics from "./ballpit-physics.js";
+
+const BOUNDS = { x: 10, y: 6, z: 2 };
+
+const PARAMS = {
+  FIXED_STEP: 1 / 60,
+  GRAVITY: 0.02,
+  FRICTION: 0.998,
+  WALL_BOUNCE: 0.95,
+  RESTITUTION: 0.6,
+  MAX_VEL: 0.2,
+  bounds: BOUNDS,
+};
+
+/**
+ * Simulate two seconds at a given frame rate
+ *
+ * @param {number} seed - Random seed
+ * @param {number} hz - Frames per second handed to advance()
+ * @returns {{positions: Float32Array, steps: number}}
+ */
+function simulate(seed, hz) {
+  const physics = new BallpitPhysics({ seed });
+  physics.resize(200, 201, { minSize: 0.6, maxSize: 1.2, bounds: BOUNDS });
+
+  // One user ball easing to a fixed target, so the kinematic path is covered
+  // (a moving target would differ between frame rates by design)
+  const users = [{ index: 200, x: 4, y: -3, z: 0, ease: 0.3, size: 1.2 }];
+  let steps = 0;
+  for (let frame = 0; frame < 2 * hz; frame++) {
+    steps += physics.advance(1 / hz, PARAMS, users).steps;
+  }
+  return { positions: physics.positions, steps };
+}
+
+const tests = {
+  "same seed gives identical balls at 60, 120 and 144 Hz": () => {
+    const a = simulate(42, 60);
+    assert.equal(a.steps, 120);
+    for (const hz of [120, 144]) {
+      const b = simulate(42, hz);
+      assert.equal(b.steps, 120, `${hz} Hz ran ${b.steps} steps`);
+      assert.deepEqual(b.positions, a.positions);
+    }
+  },
+
+  "same seed gives identical balls on every run": () => {
+    assert.deepEqual(simulate(42, 60).positions, simulate(42, 60).positions);
+  },
+
+  "different seeds give different balls": () => {
+    assert.notDeepEqual(simulate(7, 60).positions, simulate(42, 60).positions);
+  },
+};
+
+let failed = 0;
+for (const [name, test] of Object.entries(tests)) {
+  try {
+    test();
+    console.log(`ok - ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`not ok - ${name}\n${e.message}`);
+  }
+}
+process.exitCode = failed ? 1 : 0;
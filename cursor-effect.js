@@ -0,0 +1,705 @@
+/**
+ * Cursor Effect Base Class
+ *
+ * Shared lifecycle for every cursor effect. WebGLFluidCursor, WebGLBallpitCursor
+ * and WebGLMetaBallsCursor extend it, and effects registered from other modules
+ * through cursorApp.registerEffect() can too, so the controller can rely on the
+ * same behaviour whichever effect is active.
+ *
+ * Lifecycle contract (public):
+ * - init()          Boot resources; resolves with the effect once it is ready
+ * - pause()/play()  Freeze / resume the simulation (the last frame stays visible)
+ * - resize()        Re-measure the overlay canvas and its GPU resources
+ * - setVolume(v)    Set the effect's audio volume (0.0 to 1.0)
+ * - setConfig(p)    Merge a partial configuration at runtime
+ * - burst(x, y, id) Deliberate action at a point (gaze dwell); no-op by default
+ * - setIdentity(i)  Use a ParticipantIdentity for user colours and name labels
+ * - destroy()       Release every resource and remove the canvas
+ *
+ * Hooks for subclasses (protected):
+ * - _init()               Create GPU/audio resources (may be async)
+ * - _update(dt, now)      Advance the simulation; skipped while paused
+ * - _render()             Draw the current state; runs every frame
+ * - _resize()             Match GPU resources to the canvas size
+ * - _applyConfig(changed) React to the keys changed by setConfig()
+ * - _dispose()            Release effect-specific resources
+ * - _onAutoMouseLeave()   Called when the mouse leaves the window (autoMouseEvents)
+ * - _applyIdentity()      Re-colour user pointers after identity colours changed
+ * - _onPointerAdd(e), _onPointerMove(e), _onPointerRemove(e), _onPointerDown(e),
+ *   _onPointerUp(e), _onPointerIdle(e)
+ *                         Input manager pointer lifecycle events (see InputManager)
+ *
+ * Subclasses set `this.config`, `this.inputManager` and `this.soundEngine` in
+ * their constructor, create the overlay with _createCanvas() and then call
+ * init().
+ *
+ * Touch and pen input (Pointer Events) is wired by the base class: every
+ * active finger becomes its own input manager pointer ("local-touch-<n>")
+ * from pointerdown until pointerup/pointercancel, and a quick tap calls
+ * burst() like a click.
+ *
+ * When the input manager emits dwell events, the base class draws a progress
+ * ring (dwell-ring.js) and calls burst() once a gaze pointer has dwelled.
+ * While the identity's showLabels is on, name labels (pointer-labels.js)
+ * follow the input manager's pointers, and in turn-taking mode the users
+ * waiting for their turn are drawn as ghosts (ghost-pointers.js).
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class CursorEffect
+ */
+
+// Import dwell progress overlay
+import DwellRing from "./dwell-ring.js";
+// Import pointer name labels
+import PointerLabels from "./pointer-labels.js";
+// Import ghost markers (turn taking)
+import GhostPointers from "./ghost-pointers.js";
+
+class CursorEffect {
+  /**
+   * Create a new CursorEffect
+   *
+   * @param {Object} [opts={}] - Lifecycle options
+   * @param {boolean} [opts.autoMouseEvents=false] - Feed local mouse movement to the InputManager as "mouse"
+   * @param {boolean} [opts.touchEvents=true] - Feed touch/pen fingers to the InputManager, one pointer each
+   * @param {Function|null} [opts.onTouch=null] - Receives touch input ({type: "down"|"move"|"up",
+   *   pointerId, x, y, tap}) instead of the InputManager, e.g. to share it; return false to let
+   *   the effect handle that touch itself
+   * @param {Function|null} [opts.onReady=null] - Called with the effect once init() has completed
+   */
+  constructor({ autoMouseEvents = false, touchEvents = true, onTouch = null, onReady = null } = {}) {
+    /** @type {boolean} Whether the effect is initialised and rendering */
+    this.ready = false;
+
+    /** @type {Object} Effect configuration (subclasses assign their defaults) */
+    this.config = { PAUSED: false };
+
+    /** @type {HTMLCanvasElement|null} Overlay canvas the effect renders into */
+    this.canvas = null;
+
+    /** @type {Object|null} Input manager for handling multiple input sources */
+    this.inputManager = null;
+
+    /** @type {Object|null} Sound engine providing setVolume() and destroy() */
+    this.soundEngine = null;
+
+    /** @type {Function|null} Callback function called when the effect is ready */
+    this.onReady = onReady;
+
+    /** @type {boolean} Whether local mouse events are wired automatically */
+    this._autoMouse = autoMouseEvents;
+
+    /** @type {boolean} Whether touch/pen pointer events are wired */
+    this._touchEvents = touchEvents;
+
+    /** @type {Function|null} Owner that takes touch input instead of the InputManager */
+    this.onTouch = onTouch;
+
+    /** @type {Map<number, {id: string, x: number, y: number, t: number, moved: boolean}>} Active fingers by PointerEvent.pointerId */
+    this._touches = new Map();
+
+    /** @type {number|null} Animation frame ID for cleanup */
+    this._raf = null;
+
+    /** @type {number} Timestamp of the previous frame (performance.now()) */
+    this._lastT = 0;
+
+    /** @type {number} Largest time step handed to _update(), in seconds */
+    this._maxDt = 1 / 60;
+
+    /** @type {boolean} Set once destroy() has run */
+    this._destroyed = false;
+
+    /** @type {Promise<CursorEffect>|null} Pending or completed init() */
+    this._initPromise = null;
+
+    /** @type {Array<Array>} [target, type, handler, options] tuples removed on destroy */
+    this._listeners = [];
+
+    /** @type {Function[]} Input manager event unsubscribers, called on destroy */
+    this._inputSubscriptions = [];
+
+    /** @type {DwellRing|null} Gaze dwell progress overlay */
+    this._dwellRing = null;
+
+    /** @type {Object|null} ParticipantIdentity giving user colours and names */
+    this.identity = null;
+
+    /** @type {Function|null} Unsubscribes from identity changes */
+    this._identityUnsubscribe = null;
+
+    /** @type {PointerLabels|null} Name labels, present while showLabels is on */
+    this._labels = null;
+
+    /** @type {GhostPointers|null} Ghost markers, present while users wait for their turn */
+    this._ghosts = null;
+  }
+
+  // === Public API ==========================================================
+
+  /**
+   * Initialise the effect
+   *
+   * Runs the subclass _init() hook, wires window events, sizes the canvas and
+   * starts the frame loop. Safe to call more than once; later calls return the
+   * same promise.
+   *
+   * @returns {Promise<CursorEffect>} Resolves with the effect once it is ready
+   * @public
+   */
+  init() {
+    if (!this._initPromise) {
+      this._initPromise = Promise.resolve()
+        .then(() => this._init())
+        .then(() => {
+          if (this._destroyed) return this;
+
+          this._attachEvents();
+          this._resize();
+          this.ready = true;
+          // Honour PAUSED passed in through the initial configuration
+          if (this.config.PAUSED) this.pause();
+          this._startLoop();
+
+          if (typeof this.onReady === "function") {
+            try {
+              this.onReady(this);
+            } catch (e) {
+              console.warn("onReady callback error", e);
+            }
+          }
+          return this;
+        })
+        .catch((err) => {
+          console.error(`[${this.constructor.name}] failed to init:`, err);
+          throw err;
+        });
+    }
+    return this._initPromise;
+  }
+
+  /**
+   * Pause the simulation
+   *
+   * Simulation time stops and the sound engine is suspended, while the frame
+   * loop keeps rendering the last state so the effect stays visible.
+   *
+   * @public
+   */
+  pause() {
+    this.config.PAUSED = true;
+    if (this.soundEngine && typeof this.soundEngine.suspend === "function") {
+      this.soundEngine.suspend();
+    }
+  }
+
+  /**
+   * Resume the simulation from where it was paused
+   *
+   * The frame clock restarts from now, so the first resumed frame does not
+   * receive the time spent paused.
+   *
+   * @public
+   */
+  play() {
+    this.config.PAUSED = false;
+    this._lastT = performance.now();
+    if (this.soundEngine && typeof this.soundEngine.resume === "function") {
+      this.soundEngine.resume();
+    }
+  }
+
+  /**
+   * Whether the simulation is currently paused
+   *
+   * @returns {boolean} True while paused
+   * @public
+   */
+  isPaused() {
+    return !!this.config.PAUSED;
+  }
+
+  /**
+   * Re-measure the overlay canvas and resize GPU resources to match
+   *
+   * Called automatically (debounced) on window resize.
+   *
+   * @public
+   */
+  resize() {
+    if (this.ready) this._resize();
+  }
+
+  /**
+   * Set the volume for the effect's sound engine
+   *
+   * @param {number} volume - Volume level (0.0 to 1.0)
+   * @public
+   */
+  setVolume(volume) {
+    if (this.soundEngine && typeof this.soundEngine.setVolume === "function") {
+      this.soundEngine.setVolume(volume);
+    }
+  }
+
+  /**
+   * Merge a partial configuration into the running effect
+   *
+   * Only keys whose value actually changed are forwarded to _applyConfig().
+   * Before the effect is ready the values are simply stored and picked up by
+   * _init().
+   *
+   * @param {Object} [partial={}] - Config keys to change
+   * @returns {CursorEffect} this, for chaining
+   *
+   * @example
+   * effect.setConfig({ PAUSED: true });
+   *
+   * @public
+   */
+  setConfig(partial = {}) {
+    const changed = Object.keys(partial).filter(
+      (key) => !Object.is(this.config[key], partial[key]),
+    );
+    if (!changed.length) return this;
+
+    const { PAUSED, ...rest } = partial;
+    Object.assign(this.config, rest);
+    if (changed.includes("PAUSED")) {
+      if (PAUSED) this.pause();
+      else this.play();
+    }
+
+    const configChanged = changed.filter((key) => key !== "PAUSED");
+    if (this.ready && configChanged.length) this._applyConfig(configChanged);
+    return this;
+  }
+
+  /**
+   * Perform a deliberate action at a point, such as a gaze dwell
+   *
+   * Called when a gaze pointer dwells (see InputManager "dwell"). Effects
+   * override this with something visible: a burst splat, a shockwave, ...
+   *
+   * @param {number} x - X coordinate in client pixels
+   * @param {number} y - Y coordinate in client pixels
+   * @param {string} [pointerId="default"] - Pointer that triggered the action
+   * @public
+   */
+  burst(x, y, pointerId = "default") {}
+
+  /**
+   * Use a participant identity for user colours and name labels
+   *
+   * May be called before init(); effects read the colours when they create
+   * their pointers and re-colour them whenever the identity changes.
+   *
+   * @param {Object|null} identity - ParticipantIdentity, or null to drop it
+   * @public
+   */
+  setIdentity(identity) {
+    this._identityUnsubscribe?.();
+    this._identityUnsubscribe = null;
+    this.identity = identity;
+
+    if (identity && typeof identity.on === "function") {
+      this._identityUnsubscribe = identity.on("change", () => {
+        if (this.ready) this._applyIdentity();
+      });
+    }
+    if (this.ready) this._applyIdentity();
+  }
+
+  /**
+   * Destroy the effect and clean up all resources
+   *
+   * Stops the frame loop, removes every listener registered through _listen(),
+   * releases effect resources, the sound engine and removes the canvas.
+   *
+   * @public
+   */
+  destroy() {
+    this._destroyed = true;
+    this._stopLoop();
+
+    this._listeners.forEach(([target, type, handler, options]) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this._listeners = [];
+    this._touches.clear();
+
+    this._inputSubscriptions.forEach((unsubscribe) => unsubscribe());
+    this._inputSubscriptions = [];
+    this._dwellRing?.destroy();
+    this._dwellRing = null;
+    this._identityUnsubscribe?.();
+    this._identityUnsubscribe = null;
+    this._labels?.destroy();
+    this._labels = null;
+    this._ghosts?.destroy();
+    this._ghosts = null;
+
+    this._dispose();
+
+    // Clean up sound engine
+    if (this.soundEngine) {
+      this.soundEngine.destroy();
+      this.soundEngine = null;
+    }
+
+    // Remove canvas from DOM last
+    this.canvas?.remove?.();
+    this.canvas = null;
+    this.ready = false;
+  }
+
+  // === Hooks (override in subclasses) ======================================
+
+  /** @protected */
+  _init() {}
+
+  /**
+   * @param {number} dt - Seconds since the previous frame (clamped to _maxDt)
+   * @param {number} now - Current performance.now() timestamp
+   * @protected
+   */
+  _update(dt, now) {}
+
+  /** @protected */
+  _render() {}
+
+  /** @protected */
+  _resize() {}
+
+  /**
+   * @param {string[]} changed - Config keys whose values changed
+   * @protected
+   */
+  _applyConfig(changed) {}
+
+  /** @protected */
+  _dispose() {}
+
+  /** @protected */
+  _onAutoMouseLeave() {}
+
+  /** @protected */
+  _applyIdentity() {}
+
+  /**
+   * @param {{id: string, x: number, y: number}} e - First position of a new pointer
+   * @protected
+   */
+  _onPointerAdd(e) {}
+
+  /**
+   * @param {{id: string, x: number, y: number, rawX: number, rawY: number}} e
+   * @protected
+   */
+  _onPointerMove(e) {}
+
+  /**
+   * @param {{id: string, x: number, y: number, color: *, reason: string}} e - Last
+   *   position and why the pointer is gone ("removed", "timeout" or "reset")
+   * @protected
+   */
+  _onPointerRemove(e) {}
+
+  /**
+   * @param {{id: string, x: number, y: number}} e
+   * @protected
+   */
+  _onPointerDown(e) {}
+
+  /**
+   * @param {{id: string, x: number, y: number}} e
+   * @protected
+   */
+  _onPointerUp(e) {}
+
+  /**
+   * @param {{id: string, x: number, y: number}} e
+   * @protected
+   */
+  _onPointerIdle(e) {}
+
+  // === Shared helpers ======================================================
+
+  /**
+   * Identity colour of a pointer's user
+   *
+   * @param {string} pointerId - Pointer id
+   * @returns {number[]|null} [r, g, b] in 0-1, or null without an identity
+   * @protected
+   */
+  _getIdentityColor(pointerId) {
+    return this.identity ? this.identity.getColorRGB(pointerId) : null;
+  }
+
+  /**
+   * Create the fixed, full-viewport overlay canvas and append it to the body
+   *
+   * @param {Object} [opts={}]
+   * @param {string} [opts.zIndex="9999"] - CSS z-index of the overlay
+   * @returns {HTMLCanvasElement} The new canvas (also stored on this.canvas)
+   * @protected
+   */
+  _createCanvas({ zIndex = "9999" } = {}) {
+    const c = document.createElement("canvas");
+
+    // Canvas fills the entire viewport (iframe or window)
+    // Coordinates from parent are already iframe-relative via _toIframeCoords()
+    Object.assign(c.style, {
+      position: "fixed",
+      inset: "0",
+      width: "100vw",
+      height: "100vh",
+      pointerEvents: "none",
+      zIndex: zIndex,
+      background: "transparent",
+    });
+
+    document.body.appendChild(c);
+    this.canvas = c;
+    return c;
+  }
+
+  /**
+   * Add an event listener that destroy() removes automatically
+   *
+   * @param {EventTarget} target - window, document, ...
+   * @param {string} type - Event type
+   * @param {Function} handler - Listener
+   * @param {Object|boolean} [options] - addEventListener options
+   * @protected
+   */
+  _listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this._listeners.push([target, type, handler, options]);
+  }
+
+  /**
+   * Wire resize, visibility and (optionally) local mouse and touch events
+   * @private
+   */
+  _attachEvents() {
+    this._listen(window, "resize", this._debounce(() => this.resize(), 100));
+    this._listen(document, "visibilitychange", () =>
+      document.hidden ? this._stopLoop() : this._startLoop(),
+    );
+
+    if (this._autoMouse) {
+      this._listen(
+        window,
+        "mousemove",
+        (e) => {
+          this.inputManager?.updatePointerPosition(
+            e.clientX,
+            e.clientY,
+            null,
+            "mouse",
+          );
+        },
+        { passive: true },
+      );
+      this._listen(document, "mouseleave", () => this._onAutoMouseLeave(), {
+        passive: true,
+      });
+    }
+
+    if (this._touchEvents) this._attachTouchEvents();
+
+    this._attachInputEvents();
+  }
+
+  /**
+   * Turn touch and pen pointers into input manager pointers
+   *
+   * Mouse pointer events are ignored here; the mouse arrives through
+   * mousemove or the app's cursor listener. With onTouch set, each touch is
+   * handed to the owner instead (the app shares it and feeds it back in).
+   *
+   * @private
+   */
+  _attachTouchEvents() {
+    const TAP_TIME = 300; // ms
+    const TAP_SLOP = 12; // px a tap may wander
+    const isTouch = (e) => e.pointerType === "touch" || e.pointerType === "pen";
+    const handOver = (type, e, tap = false) =>
+      typeof this.onTouch === "function" &&
+      this.onTouch({ type, pointerId: e.pointerId, x: e.clientX, y: e.clientY, tap }) !== false;
+
+    const end = (e, cancelled) => {
+      const touch = this._touches.get(e.pointerId);
+      if (!touch) return;
+      this._touches.delete(e.pointerId);
+
+      const input = this.inputManager;
+      const isTap = !cancelled && !touch.moved && performance.now() - touch.t < TAP_TIME;
+      if (handOver("up", e, isTap)) return;
+      if (isTap && !this.config.PAUSED && !input?.isWaitingForTurn?.(touch.id)) {
+        this.burst(e.clientX, e.clientY, touch.id);
+      }
+      input?.pointerUp?.(touch.id);
+      input?.removePointer(touch.id);
+    };
+
+    this._listen(window, "pointerdown", (e) => {
+      if (!isTouch(e)) return;
+      const id = `local-touch-${e.pointerId}`;
+      this._touches.set(e.pointerId, {
+        id,
+        x: e.clientX,
+        y: e.clientY,
+        t: performance.now(),
+        moved: false,
+      });
+      if (handOver("down", e)) return;
+      this.inputManager?.updatePointerPosition(e.clientX, e.clientY, null, id);
+      this.inputManager?.pointerDown?.(id);
+    }, { passive: true });
+
+    this._listen(window, "pointermove", (e) => {
+      const touch = this._touches.get(e.pointerId);
+      if (!touch) return;
+      if (Math.hypot(e.clientX - touch.x, e.clientY - touch.y) > TAP_SLOP) {
+        touch.moved = true;
+      }
+      if (handOver("move", e)) return;
+      this.inputManager?.updatePointerPosition(e.clientX, e.clientY, null, touch.id);
+    }, { passive: true });
+
+    this._listen(window, "pointerup", (e) => end(e, false), { passive: true });
+    this._listen(window, "pointercancel", (e) => end(e, true), { passive: true });
+  }
+
+  /**
+   * Subscribe to input manager events: dwell progress ring, burst() and
+   * the pointer lifecycle hooks
+   * @private
+   */
+  _attachInputEvents() {
+    const input = this.inputManager;
+    if (!input || typeof input.on !== "function") return;
+
+    const ring = (this._dwellRing = new DwellRing());
+    this._inputSubscriptions.push(
+      input.on("dwellprogress", ({ id, x, y, progress }) => {
+        // Frozen effects do not react, so do not invite a dwell
+        if (this.config.PAUSED) ring.hide(id);
+        else ring.update(id, x, y, progress);
+      }),
+      input.on("dwellcancel", ({ id }) => ring.hide(id)),
+      input.on("dwell", ({ id, x, y }) => {
+        if (this.config.PAUSED) return;
+        ring.complete(id);
+        this.burst(x, y, id);
+      }),
+      input.on("pointeradd", (e) => this._onPointerAdd(e)),
+      input.on("pointermove", (e) => this._onPointerMove(e)),
+      input.on("pointerdown", (e) => this._onPointerDown(e)),
+      input.on("pointerup", (e) => this._onPointerUp(e)),
+      input.on("pointeridle", (e) => this._onPointerIdle(e)),
+      input.on("pointerremove", (e) => {
+        this._labels?.hide(e.id);
+        this._onPointerRemove(e);
+      }),
+    );
+  }
+
+  /** @private */
+  _startLoop() {
+    cancelAnimationFrame(this._raf);
+    this._lastT = performance.now();
+    this._loop();
+  }
+
+  /** @private */
+  _stopLoop() {
+    cancelAnimationFrame(this._raf);
+    this._raf = null;
+  }
+
+  /** @private */
+  _loop() {
+    this._raf = requestAnimationFrame(() => this._loop());
+    if (!this.ready) return;
+
+    const now = performance.now();
+    const dt = Math.min((now - this._lastT) / 1000, this._maxDt);
+    this._lastT = now;
+
+    this.inputManager?.tick?.(now);
+
+    if (!this.config.PAUSED) this._update(dt, now);
+    this._render();
+    this._updateLabels();
+    this._updateGhosts();
+  }
+
+  /**
+   * Move the name labels to the input manager's pointers
+   * @private
+   */
+  _updateLabels() {
+    const identity = this.identity;
+    if (!identity || !identity.showLabels || !this.inputManager) {
+      this._labels?.destroy();
+      this._labels = null;
+      return;
+    }
+
+    if (!this._labels) this._labels = new PointerLabels();
+    this._labels.update(
+      this.inputManager.getActivePointers().map((p) => ({
+        id: p.id,
+        x: p.x,
+        y: p.y,
+        name: identity.getName(p.id),
+        color: identity.getColorCSS(p.id),
+        opacity: p.fade,
+      })),
+    );
+  }
+
+  /**
+   * Move the ghost markers to the users waiting for their turn
+   * @private
+   */
+  _updateGhosts() {
+    const ghosts = this.inputManager?.getGhostPointers?.() || [];
+    if (!ghosts.length) {
+      this._ghosts?.destroy();
+      this._ghosts = null;
+      return;
+    }
+
+    if (!this._ghosts) this._ghosts = new GhostPointers();
+    this._ghosts.update(
+      ghosts.map((g) => ({
+        id: g.id,
+        x: g.x,
+        y: g.y,
+        color: this.identity ? this.identity.getColorCSS(g.id) : "#fff",
+      })),
+    );
+  }
+
+  /** @protected */
+  _debounce(fn, ms) {
+    let t;
+    return (...args) => {
+      clearTimeout(t);
+      t = setTimeout(() => fn.apply(this, args), ms);
+    };
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.CursorEffect = CursorEffect;
+}
+
+// ES6 module export
+export default CursorEffect;
+export { CursorEffect };
@@ -0,0 +1,175 @@
+/**
+ * Dwell Ring - Visual progress ring for gaze dwell
+ *
+ * Draws a circular progress ring around each gaze pointer that is holding
+ * still, fed by InputManager's "dwellprogress" / "dwellcancel" / "dwell"
+ * events. The ring only appears once a dwell is partly complete, so normal
+ * gaze movement does not flicker rings across the screen; on completion it
+ * pulses briefly and disappears.
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class DwellRing
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+class DwellRing {
+  /**
+   * Create a new DwellRing overlay
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.size=56] - Ring diameter in CSS pixels
+   * @param {string} [options.color="rgba(255, 255, 255, 0.9)"] - Progress stroke colour
+   * @param {number} [options.showAfter=0.15] - Progress (0-1) before the ring appears
+   * @param {string} [options.zIndex="10000"] - CSS z-index (above the effect canvases)
+   */
+  constructor({
+    size = 56,
+    color = "rgba(255, 255, 255, 0.9)",
+    showAfter = 0.15,
+    zIndex = "10000",
+  } = {}) {
+    this.size = size;
+    this.color = color;
+    this.showAfter = showAfter;
+    this.zIndex = zIndex;
+
+    /** @type {Map<string, {el: HTMLElement, arc: SVGCircleElement}>} Ring per pointer id */
+    this._rings = new Map();
+
+    /** @type {number} Circumference of the progress arc */
+    this._circumference = Math.PI * (size - 8);
+  }
+
+  /**
+   * Show or advance the ring of a pointer
+   *
+   * @param {string} id - Pointer id
+   * @param {number} x - Client X of the dwell point
+   * @param {number} y - Client Y of the dwell point
+   * @param {number} progress - Dwell progress (0-1)
+   * @public
+   */
+  update(id, x, y, progress) {
+    if (progress < this.showAfter) {
+      this.hide(id);
+      return;
+    }
+
+    const ring = this._getOrCreateRing(id);
+    const visible = (progress - this.showAfter) / (1 - this.showAfter);
+    ring.el.style.transform = `translate(${x - this.size / 2}px, ${y - this.size / 2}px)`;
+    ring.el.style.opacity = "1";
+    ring.arc.style.strokeDashoffset = String(this._circumference * (1 - visible));
+  }
+
+  /**
+   * Remove the ring of a pointer immediately
+   *
+   * @param {string} id - Pointer id
+   * @public
+   */
+  hide(id) {
+    const ring = this._rings.get(id);
+    if (!ring) return;
+    ring.el.remove();
+    this._rings.delete(id);
+  }
+
+  /**
+   * Play the completion pulse and remove the ring
+   *
+   * @param {string} id - Pointer id
+   * @public
+   */
+  complete(id) {
+    const ring = this._rings.get(id);
+    if (!ring) return;
+    this._rings.delete(id);
+
+    ring.arc.style.strokeDashoffset = "0";
+    if (typeof ring.el.animate === "function") {
+      const transform = ring.el.style.transform;
+      ring.el
+        .animate(
+          [
+            { transform: `${transform} scale(1)`, opacity: 1 },
+            { transform: `${transform} scale(1.6)`, opacity: 0 },
+          ],
+          { duration: 300, easing: "ease-out", fill: "forwards" },
+        )
+        .finished.then(() => ring.el.remove(), () => ring.el.remove());
+    } else {
+      ring.el.remove();
+    }
+  }
+
+  /**
+   * Remove every ring
+   * @public
+   */
+  destroy() {
+    this._rings.forEach((ring) => ring.el.remove());
+    this._rings.clear();
+  }
+
+  /** @private */
+  _getOrCreateRing(id) {
+    if (this._rings.has(id)) return this._rings.get(id);
+
+    const size = this.size;
+    const el = document.createElement("div");
+    Object.assign(el.style, {
+      position: "fixed",
+      left: "0",
+      top: "0",
+      width: `${size}px`,
+      height: `${size}px`,
+      pointerEvents: "none",
+      zIndex: this.zIndex,
+      transformOrigin: "center",
+    });
+
+    const svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("width", size);
+    svg.setAttribute("height", size);
+    svg.setAttribute("viewBox", `0 0 ${size} ${size}`);
+
+    const circle = (stroke) => {
+      const c = document.createElementNS(SVG_NS, "circle");
+      c.setAttribute("cx", size / 2);
+      c.setAttribute("cy", size / 2);
+      c.setAttribute("r", (size - 8) / 2);
+      c.setAttribute("fill", "none");
+      c.setAttribute("stroke", stroke);
+      c.setAttribute("stroke-width", "4");
+      return c;
+    };
+
+    // Faint track plus the progress arc, starting at 12 o'clock
+    const track = circle("rgba(0, 0, 0, 0.25)");
+    const arc = circle(this.color);
+    arc.setAttribute("stroke-linecap", "round");
+    arc.setAttribute("transform", `rotate(-90 ${size / 2} ${size / 2})`);
+    arc.style.strokeDasharray = String(this._circumference);
+    arc.style.strokeDashoffset = String(this._circumference);
+
+    svg.appendChild(track);
+    svg.appendChild(arc);
+    el.appendChild(svg);
+    document.body.appendChild(el);
+
+    const ring = { el, arc };
+    this._rings.set(id, ring);
+    return ring;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.DwellRing = DwellRing;
+}
+
+// ES6 module export
+export default DwellRing;
+export { DwellRing };
@@ -0,0 +1,151 @@
+/**
+ * Effect Settings - Schema validation for shared effect configuration
+ *
+ * Effects describe the config keys that may be tuned for the whole session
+ * with a settings schema. Values arriving from Firebase (settings/<effectId>)
+ * or from UI controls are run through sanitizeSettings() before they reach
+ * an effect's setConfig(), so a malformed or out-of-range value can never
+ * break a running simulation.
+ *
+ * Schema format — one entry per config key:
+ *
+ *   {
+ *     SPLAT_RADIUS: { type: "number", min: 0.05, max: 1, step: 0.05, default: 0.05, label: "Splat Size" },
+ *     COUNT:        { type: "integer", min: 1, max: 300, step: 10, default: 50, label: "Ball Count" },
+ *     SHADING:      { type: "boolean", default: true, label: "Shading" },
+ *     COLOR:        { type: "color", default: [1, 1, 1], label: "Colour" },     // RGB 0-1
+ *     PALETTE:      { type: "palette", default: [0xff6b6b, 0x4ecdc4], label: "Palette" }, // hex ints
+ *   }
+ *
+ * Numeric entries flagged `panel: true` are the key parameters offered by the
+ * in-app settings panel (settings-panel.js), in schema order.
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ */
+
+/**
+ * Longest palette accepted from the network
+ * @constant {number}
+ */
+const MAX_PALETTE_LENGTH = 32;
+
+/**
+ * Validate and clamp a single value against its schema entry
+ *
+ * Numbers are clamped to [min, max] (integers are rounded first), colours are
+ * clamped per channel to 0-1 and palettes to valid 24-bit hex colours.
+ *
+ * @param {Object} spec - Schema entry for the key
+ * @param {*} value - Incoming value
+ * @returns {*} The sanitized value, or undefined if it cannot be used
+ */
+function sanitizeSetting(spec, value) {
+  if (!spec) return undefined;
+
+  switch (spec.type) {
+    case "number":
+    case "integer": {
+      let n = typeof value === "string" ? parseFloat(value) : value;
+      if (typeof n !== "number" || !Number.isFinite(n)) return undefined;
+      if (spec.type === "integer") n = Math.round(n);
+      if (typeof spec.min === "number") n = Math.max(spec.min, n);
+      if (typeof spec.max === "number") n = Math.min(spec.max, n);
+      return n;
+    }
+
+    case "boolean":
+      return typeof value === "boolean" ? value : undefined;
+
+    case "color": {
+      if (!Array.isArray(value) || value.length !== 3) return undefined;
+      if (!value.every((c) => typeof c === "number" && Number.isFinite(c))) return undefined;
+      return value.map((c) => Math.min(1, Math.max(0, c)));
+    }
+
+    case "palette": {
+      if (!Array.isArray(value) || value.length === 0) return undefined;
+      const colors = value
+        .slice(0, MAX_PALETTE_LENGTH)
+        .filter((c) => Number.isInteger(c) && c >= 0 && c <= 0xffffff);
+      return colors.length ? colors : undefined;
+    }
+
+    default:
+      console.warn(`[EffectSettings] Unknown setting type "${spec.type}"`);
+      return undefined;
+  }
+}
+
+/**
+ * Validate a settings object against a schema
+ *
+ * Keys missing from the schema are dropped; invalid values are dropped with a
+ * warning. The input object is not modified.
+ *
+ * @param {Object} schema - Effect settings schema
+ * @param {Object} values - Incoming settings (e.g. a Firebase snapshot)
+ * @returns {Object} New object containing only valid, clamped values
+ *
+ * @example
+ * sanitizeSettings(WebGLBallpitCursor.SETTINGS_SCHEMA, { COUNT: 9000, foo: 1 });
+ * // → { COUNT: 300 }
+ */
+function sanitizeSettings(schema, values) {
+  const result = {};
+  if (!schema || !values || typeof values !== "object") return result;
+
+  Object.keys(values).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) return;
+
+    const value = sanitizeSetting(schema[key], values[key]);
+    if (value === undefined) {
+      console.warn(`[EffectSettings] Ignoring invalid value for ${key}:`, values[key]);
+      return;
+    }
+    result[key] = value;
+  });
+  return result;
+}
+
+/**
+ * Collect the default value of every key in a schema
+ *
+ * @param {Object} schema - Effect settings schema
+ * @returns {Object} Map of key → default value
+ */
+function getSettingDefaults(schema) {
+  const defaults = {};
+  Object.keys(schema || {}).forEach((key) => {
+    if (schema[key].default !== undefined) defaults[key] = schema[key].default;
+  });
+  return defaults;
+}
+
+/**
+ * Move a numeric setting one step up or down
+ *
+ * The result is snapped to the entry's step grid (so repeated steps do not
+ * accumulate floating point error) and clamped to [min, max].
+ *
+ * @param {Object} spec - Schema entry (type "number" or "integer")
+ * @param {number} value - Current value
+ * @param {number} direction - +1 to increase, -1 to decrease
+ * @returns {number} The new value
+ */
+function stepSetting(spec, value, direction) {
+  const step = spec.step || (spec.type === "integer" ? 1 : 0.1);
+  const decimals = (String(step).split(".")[1] || "").length;
+  const next = Math.round((value + direction * step) / step) * step;
+  return sanitizeSetting(spec, Number(next.toFixed(decimals)));
+}
+
+const EffectSettings = { sanitizeSetting, sanitizeSettings, getSettingDefaults, stepSetting };
+
+if (typeof window !== "undefined") {
+  window.EffectSettings = EffectSettings;
+}
+
+// ES6 module export
+export default EffectSettings;
+export { EffectSettings, sanitizeSetting, sanitizeSettings, getSettingDefaults, stepSetting };
@@ -0,0 +1,108 @@
+/**
+ * Effect Transition - Animated hand-over between two effect canvases
+ *
+ * When cursorApp switches effects, the incoming effect boots underneath the
+ * outgoing one with its canvas hidden. Once it reports ready, runTransition()
+ * animates both canvases at the same time (the outgoing one out, the incoming
+ * one in), so there is never an empty frame between effects.
+ *
+ * Styles are keyframe pairs for the Web Animations API. Add an entry to
+ * TRANSITION_STYLES to make a new style available to cursorApp.setTransition().
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ */
+
+/**
+ * Built-in transition styles
+ *
+ * - none:     cut straight to the new effect (still waits for it to be ready)
+ * - fade:     cross-fade between the two canvases
+ * - dissolve: cross-fade while the outgoing effect blurs away
+ * - zoom:     outgoing effect grows and fades as the new one settles in
+ *
+ * @type {Object<string, {out: Keyframe[], in: Keyframe[]}|null>}
+ */
+const TRANSITION_STYLES = {
+  none: null,
+  fade: {
+    out: [{ opacity: 1 }, { opacity: 0 }],
+    in: [{ opacity: 0 }, { opacity: 1 }],
+  },
+  dissolve: {
+    out: [
+      { opacity: 1, filter: "blur(0px)" },
+      { opacity: 0, filter: "blur(16px)" },
+    ],
+    in: [
+      { opacity: 0, filter: "blur(8px)" },
+      { opacity: 1, filter: "blur(0px)" },
+    ],
+  },
+  zoom: {
+    out: [
+      { opacity: 1, transform: "scale(1)" },
+      { opacity: 0, transform: "scale(1.15)" },
+    ],
+    in: [
+      { opacity: 0, transform: "scale(0.92)" },
+      { opacity: 1, transform: "scale(1)" },
+    ],
+  },
+};
+
+/**
+ * Animate from the outgoing canvas to the incoming one
+ *
+ * The incoming canvas is expected to have been hidden (opacity 0) while its
+ * effect initialised; it is made visible here. Either canvas may be null,
+ * e.g. on the very first effect there is nothing to fade out.
+ *
+ * @param {HTMLCanvasElement|null} outgoing - Canvas of the effect being replaced
+ * @param {HTMLCanvasElement|null} incoming - Canvas of the newly ready effect
+ * @param {Object} [options={}]
+ * @param {string} [options.style="fade"] - Key of TRANSITION_STYLES
+ * @param {number} [options.duration=600] - Duration in milliseconds
+ * @returns {Promise<void>} Resolves when the transition has finished
+ */
+function runTransition(outgoing, incoming, { style = "fade", duration = 600 } = {}) {
+  const frames = TRANSITION_STYLES[style];
+  if (!(style in TRANSITION_STYLES)) {
+    console.warn(`[EffectTransition] Unknown transition style "${style}", using a cut`);
+  }
+
+  if (incoming) incoming.style.opacity = "";
+
+  if (!frames || duration <= 0) {
+    if (outgoing) outgoing.style.opacity = "0";
+    return Promise.resolve();
+  }
+
+  const timing = { duration, easing: "ease-in-out", fill: "both" };
+  const animations = [];
+  if (outgoing && typeof outgoing.animate === "function") {
+    // Outgoing canvas holds its last keyframe until the effect is destroyed
+    animations.push(outgoing.animate(frames.out, timing).finished);
+  }
+  if (incoming && typeof incoming.animate === "function") {
+    // Incoming canvas drops the animation once it has finished
+    const animation = incoming.animate(frames.in, timing);
+    animations.push(animation.finished.then(() => animation.cancel()));
+  }
+
+  // Without the Web Animations API just wait out the duration
+  if (!animations.length) {
+    return new Promise((resolve) => setTimeout(resolve, duration));
+  }
+  return Promise.all(animations).then(() => {}, () => {});
+}
+
+const EffectTransition = { TRANSITION_STYLES, runTransition };
+
+if (typeof window !== "undefined") {
+  window.EffectTransition = EffectTransition;
+}
+
+// ES6 module export
+export default EffectTransition;
+export { EffectTransition, TRANSITION_STYLES, runTransition };
@@ -0,0 +1,111 @@
+/**
+ * Event Emitter - Minimal synchronous event emitter
+ *
+ * Shared by the app controller and the input layer for notifications such as
+ * effect switches. Listeners run synchronously in registration order; an
+ * exception in one listener is logged and does not stop the others.
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class EventEmitter
+ *
+ * @example
+ * const events = new EventEmitter();
+ * const off = events.on("switch", ({ type }) => console.log("now on", type));
+ * events.emit("switch", { type: "fluid" });
+ * off(); // stop listening
+ */
+class EventEmitter {
+  constructor() {
+    /** @type {Map<string, Function[]>} Listeners keyed by event type */
+    this._events = new Map();
+  }
+
+  /**
+   * Add a listener
+   *
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the emitted arguments
+   * @returns {Function} Call to remove the listener again
+   * @public
+   */
+  on(type, listener) {
+    if (typeof listener !== "function") return () => {};
+    if (!this._events.has(type)) this._events.set(type, []);
+    this._events.get(type).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Add a listener that is removed after its first call
+   *
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the emitted arguments
+   * @returns {Function} Call to remove the listener before it fires
+   * @public
+   */
+  once(type, listener) {
+    const wrapper = (...args) => {
+      this.off(type, wrapper);
+      listener(...args);
+    };
+    return this.on(type, wrapper);
+  }
+
+  /**
+   * Remove a listener
+   *
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener passed to on()
+   * @public
+   */
+  off(type, listener) {
+    const listeners = this._events.get(type);
+    if (!listeners) return;
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+    if (!listeners.length) this._events.delete(type);
+  }
+
+  /**
+   * Call every listener of an event
+   *
+   * @param {string} type - Event type
+   * @param {...*} args - Arguments passed to each listener
+   * @returns {boolean} True if the event had listeners
+   * @public
+   */
+  emit(type, ...args) {
+    const listeners = this._events.get(type);
+    if (!listeners) return false;
+
+    // Copy so listeners can remove themselves while we iterate
+    listeners.slice().forEach((listener) => {
+      try {
+        listener(...args);
+      } catch (e) {
+        console.error(`[EventEmitter] "${type}" listener error:`, e);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Remove all listeners, or all listeners of one event type
+   *
+   * @param {string} [type] - Event type (omit to clear everything)
+   * @public
+   */
+  removeAllListeners(type) {
+    if (type === undefined) this._events.clear();
+    else this._events.delete(type);
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.EventEmitter = EventEmitter;
+}
+
+// ES6 module export
+export default EventEmitter;
+export { EventEmitter };
@@ -17,18 +17,23 @@
  * @class WebGLFluidCursor
  */
 
+// Import shared effect lifecycle
+import CursorEffect from "./cursor-effect.js";
 // Import InputManager
 import InputManager from "./input-manager.js";
 // Import Sound Engine
 import { FluidSoundEngine } from "./sound-engine.js";
 
-class WebGLFluidCursor {
+class WebGLFluidCursor extends CursorEffect {
   /**
    * Create a new WebGLFluidCursor instance
    *
    * @param {Object} [opts={}] - Configuration options
    * @param {Object} [opts.configOverrides={}] - Override simulation configuration
    * @param {boolean} [opts.autoMouseEvents=false] - Whether to automatically handle mouse events
+   * @param {boolean} [opts.touchEvents=true] - Whether to handle touch/pen fingers (see CursorEffect)
+   * @param {Function|null} [opts.onTouch=null] - Receives touch input instead of the InputManager (see CursorEffect)
+   * @param {Function|null} [opts.onReady=null] - Callback called once the simulation is running
    *
    * @example
    * // Basic usage
@@ -47,13 +52,11 @@ class WebGLFluidCursor {
   constructor({
     configOverrides = {},
     autoMouseEvents = false,
+    touchEvents = true,
+    onTouch = null,
     onReady = null,
   } = {}) {
-    /** @type {Function|null} Callback function called when cursor is ready */
-    this.onReady = onReady;
-
-    /** @type {HTMLCanvasElement|null} The WebGL canvas element */
-    this.canvas = null;
+    super({ autoMouseEvents, touchEvents, onTouch, onReady });
 
     /** @type {WebGLRenderingContext|WebGL2RenderingContext|null} WebGL rendering context */
     this.gl = null;
@@ -61,9 +64,6 @@ class WebGLFluidCursor {
     /** @type {Object|null} WebGL extensions and capabilities */
     this.ext = null;
 
-    /** @type {number|null} Animation frame ID for cleanup */
-    this.animationId = null;
-
     /** @type {Array<Object>} Array of active pointer objects */
     this.pointers = [];
 
@@ -120,7 +120,6 @@ class WebGLFluidCursor {
     this.pressure = null;
 
     // timing
-    this.lastUpdateTime = Date.now();
     this.colorUpdateTimer = 0;
 
     // programs
@@ -139,43 +138,8 @@ class WebGLFluidCursor {
     this.blit = null;
 
     // init
-    this._initCanvas();
-    const { gl, ext } = this._getWebGLContext(this.canvas);
-    if (!ext.supportLinearFiltering) {
-      this.config.DYE_RESOLUTION = 256;
-      this.config.SHADING = false;
-    }
-    this.gl = gl;
-    this.ext = ext;
-
-    this._initShaders();
-    this._initBlit();
-
-    this.resizeCanvas();          // ✅ Set drawingBuffer size FIRST
-    this._initFramebuffers();     // ✅ Allocate FBOs at correct resolution
-
-    // Add resize listener for window resizing
-    this._onResize = this._onResize.bind(this);
-    window.addEventListener("resize", this._onResize);
-
-    // Add direct local mouse listener to avoid coordinate round-trip transformation
-    // Local mouse goes: iframe -> parent -> normalized -> parent -> iframe (4 transforms)
-    // This causes precision loss. By listening directly, we skip the round-trip.
-    this._onLocalMouseMove = (e) => {
-      this._handlePointerInput(e.clientX, e.clientY, null, "local-mouse");
-    };
-    window.addEventListener("mousemove", this._onLocalMouseMove, { passive: true });
-
-
-    // Start frame loop immediately and signal readiness
-    this._updateFrame();
-    if (typeof this.onReady === "function") {
-      try {
-        this.onReady(this);
-      } catch (e) {
-        console.warn("onReady callback error", e);
-      }
-    }
+    this._createCanvas({ zIndex: "9999" });
+    this.init().catch(() => {});
   }
 
   // === Public API ==========================================================
@@ -210,48 +174,53 @@ class WebGLFluidCursor {
   }
 
   /**
-   * Set the volume for fluid sound effects
-   *
-   * @param {number} volume - Volume level (0.0 to 1.0)
+   * Burst splat at client pixel coordinates (gaze dwell action)
    *
-   * @example
-   * fluidCursor.setVolume(0.5);
+   * A bright splat at the point plus a ring of splats pushing outwards, with
+   * an impact sound.
    *
+   * @param {number} x - X coordinate in client pixels
+   * @param {number} y - Y coordinate in client pixels
+   * @param {string} [pointerId="default"] - Pointer that triggered the burst
    * @public
    */
-  setVolume(volume) {
-    if (this.soundEngine) {
-      this.soundEngine.setVolume(volume);
+  burst(x, y, pointerId = "default") {
+    if (!this.ready || !this.gl) return;
+
+    const texX = this._scaleByPixelRatio(x) / this.canvas.width;
+    const texY = 1.0 - this._scaleByPixelRatio(y) / this.canvas.height;
+
+    // Centre splat (user or random colour, impact sound)
+    this._clickSplat({ id: pointerId, texcoordX: texX, texcoordY: texY });
+
+    // Ring of outward splats
+    const minDim = Math.min(this.canvas.width, this.canvas.height);
+    const force = this.config.SPLAT_FORCE * 0.03 * (minDim / 1000);
+    const color = (this._identityDye(pointerId) || this._generateColor()).map((c) => c * 4.0);
+    const count = 8;
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2;
+      const dirX = Math.cos(angle);
+      const dirY = Math.sin(angle);
+      this._splat(
+        texX + this._correctDeltaX(dirX * 0.01),
+        texY + this._correctDeltaY(dirY * 0.01),
+        dirX * force,
+        dirY * force,
+        color
+      );
     }
   }
 
   /**
-   * Destroy the fluid cursor and clean up all resources
-   *
-   * Safely destroys the WebGL context, removes event listeners, clears
-   * all pointers, and removes the canvas from the DOM. Should be called
-   * when the cursor is no longer needed to prevent memory leaks.
+   * Release fluid-specific resources (called by CursorEffect.destroy)
    *
-   * @example
-   * // Clean up when switching to another cursor
-   * fluidCursor.destroy();
+   * Clears all pointers and the WebGL context. Listeners, the sound engine
+   * and the canvas are cleaned up by the base class.
    *
-   * @public
+   * @protected
    */
-  destroy() {
-
-    // Stop animation first
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
-
-    // Remove event listeners
-    window.removeEventListener("resize", this._onResize);
-    if (this._onLocalMouseMove) {
-      window.removeEventListener("mousemove", this._onLocalMouseMove);
-    }
-
+  _dispose() {
     // Clear pointer maps before destroying canvas
     this.pointers = [];
     this.pointerMap.clear();
@@ -261,18 +230,6 @@ class WebGLFluidCursor {
       this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
       this.gl = null;
     }
-
-    // Clean up sound engine
-    if (this.soundEngine) {
-      this.soundEngine.destroy();
-      this.soundEngine = null;
-    }
-
-    // Remove canvas from DOM last
-    if (this.canvas && this.canvas.parentElement) {
-      this.canvas.parentElement.removeChild(this.canvas);
-    }
-    this.canvas = null;
   }
 
   // _onMouseDown(e) {
@@ -283,38 +240,66 @@ class WebGLFluidCursor {
   //   this._clickSplat(pointer);
   // }
 
-  _onResize() {
-    // Update canvas position and size
-    this._updateCanvasPosition();
+  _resize() {
     if (this.resizeCanvas()) this._initFramebuffers();
   }
 
-  _updateCanvasPosition() {
-    // Canvas fills the entire viewport (iframe or window)
-    // Coordinates from parent are already iframe-relative via _toIframeCoords()
-    this.canvas.style.top = "0";
-    this.canvas.style.left = "0";
-    this.canvas.style.width = "100vw";
-    this.canvas.style.height = "100vh";
+  /**
+   * Apply runtime config changes (called by CursorEffect.setConfig)
+   *
+   * Splat, dissipation, curl, pressure and colour keys are read every frame
+   * and need no work here. SHADING recompiles the display shader and the
+   * resolution keys resize the framebuffers, copying the current dye and
+   * velocity across so the change happens without a visible flash.
+   *
+   * @param {string[]} changed - Config keys whose values changed
+   * @protected
+   */
+  _applyConfig(changed) {
+    if (changed.includes("SHADING")) {
+      // Shading needs linear filtering; keep it off where unsupported
+      if (!this.ext.supportLinearFiltering) this.config.SHADING = false;
+      this._initDisplayProgram();
+    }
+
+    if (changed.includes("SIM_RESOLUTION") || changed.includes("DYE_RESOLUTION")) {
+      if (!this.ext.supportLinearFiltering) this.config.DYE_RESOLUTION = 256;
+      this._initFramebuffers();
+    }
   }
 
   // === Canvas & GL init ====================================================
 
-  _initCanvas() {
-    const c = document.createElement("canvas");
-    c.style.position = "fixed";
-    c.style.pointerEvents = "none";
-    c.style.zIndex = "9999";
-    c.style.background = "transparent";
-
-    // Canvas fills the entire viewport (iframe or window)
-    // Coordinates from parent are already iframe-relative via _toIframeCoords()
-    c.style.inset = "0";
-    c.style.width = "100vw";
-    c.style.height = "100vh";
-
-    document.body.appendChild(c);
-    this.canvas = c;
+  _init() {
+    const { gl, ext } = this._getWebGLContext(this.canvas);
+    if (!ext.supportLinearFiltering) {
+      this.config.DYE_RESOLUTION = 256;
+      this.config.SHADING = false;
+    }
+    this.gl = gl;
+    this.ext = ext;
+
+    this._initShaders();
+    this._initBlit();
+
+    this.resizeCanvas();          // ✅ Set drawingBuffer size FIRST
+    this._initFramebuffers();     // ✅ Allocate FBOs at correct resolution
+
+    // Add direct local mouse listener to avoid coordinate round-trip transformation
+    // Local mouse goes: iframe -> parent -> normalized -> parent -> iframe (4 transforms)
+    // This causes precision loss. By listening directly, we skip the round-trip.
+    this._listen(
+      window,
+      "mousemove",
+      (e) => {
+        // Waiting for a turn: the local mouse must not stir the fluid either
+        if (this.inputManager.isWaitingForTurn("local-mouse")) return;
+        this._handlePointerInput(e.clientX, e.clientY, null, "local-mouse");
+      },
+      { passive: true }
+    );
+
+    // Resize/visibility listeners and the frame loop are started by CursorEffect.init()
   }
 
   _getWebGLContext(canvas) {
@@ -526,9 +511,8 @@ class WebGLFluidCursor {
     );
 
     // Display shader with shading and alpha-from-brightness - used for final screen render
-    const displayShader = this._compileShader(
-      this.gl.FRAGMENT_SHADER,
-      `
+    // Compiled by _initDisplayProgram() so SHADING can be toggled at runtime
+    this._displayShaderSource = `
           precision highp float;
           precision highp sampler2D;
           varying vec2 vUv;
@@ -571,9 +555,7 @@ class WebGLFluidCursor {
               // Premultiplied alpha output for gl.ONE, gl.ONE_MINUS_SRC_ALPHA blend mode
               gl_FragColor = vec4(c, a);
           }
-        `,
-      this.config.SHADING ? ["SHADING"] : null
-    );
+        `;
 
     const clearShader = this._compileShader(
       this.gl.FRAGMENT_SHADER,
@@ -720,6 +702,7 @@ class WebGLFluidCursor {
     );
 
     // create programs + uniform caches
+    this._baseVertexShader = baseVertexShader;
     const mk = (fs) => ({
       program: this._createProgram(baseVertexShader, fs),
       uniforms: null,
@@ -730,8 +713,7 @@ class WebGLFluidCursor {
 
     this.copyProgram = mk(copyShader);
     this.copyProgram.uniforms = this._getUniforms(this.copyProgram.program);
-    this.displayProgram = mk(displayShader);
-    this.displayProgram.uniforms = this._getUniforms(this.displayProgram.program);
+    this._initDisplayProgram();
     this.clearProgram = mk(clearShader);
     this.clearProgram.uniforms = this._getUniforms(this.clearProgram.program);
     this.splatProgram = mk(splatShader);
@@ -760,6 +742,35 @@ class WebGLFluidCursor {
     );
   }
 
+  /**
+   * (Re)build the display program with the current SHADING keyword
+   *
+   * The previous program stays bound until the new one has linked, so
+   * toggling SHADING does not drop a frame.
+   *
+   * @private
+   */
+  _initDisplayProgram() {
+    const gl = this.gl;
+    const displayShader = this._compileShader(
+      gl.FRAGMENT_SHADER,
+      this._displayShaderSource,
+      this.config.SHADING ? ["SHADING"] : null
+    );
+    const program = this._createProgram(this._baseVertexShader, displayShader);
+    gl.deleteShader(displayShader);
+
+    const previous = this.displayProgram;
+    this.displayProgram = {
+      program,
+      uniforms: this._getUniforms(program),
+      bind: function (gl) {
+        gl.useProgram(this.program);
+      },
+    };
+    if (previous) gl.deleteProgram(previous.program);
+  }
+
   _initBlit() {
     const gl = this.gl;
     gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
@@ -926,6 +937,15 @@ class WebGLFluidCursor {
         filtering
       );
 
+    // Free the previous scratch targets; they are rebuilt on every resize
+    // and runtime resolution change
+    this._deleteFBO(this.divergence);
+    this._deleteFBO(this.curl);
+    if (this.pressure) {
+      this._deleteFBO(this.pressure.read);
+      this._deleteFBO(this.pressure.write);
+    }
+
     this.divergence = this._createFBO(
       simRes.width,
       simRes.height,
@@ -954,8 +974,10 @@ class WebGLFluidCursor {
 
   _resizeDoubleFBO(target, w, h, internalFormat, format, type, param) {
     if (target.width === w && target.height === h) return target;
+    const oldRead = target.read;
+    const oldWrite = target.write;
     target.read = this._resizeFBO(
-      target.read,
+      oldRead,
       w,
       h,
       internalFormat,
@@ -964,6 +986,8 @@ class WebGLFluidCursor {
       param
     );
     target.write = this._createFBO(w, h, internalFormat, format, type, param);
+    this._deleteFBO(oldRead);
+    this._deleteFBO(oldWrite);
     target.width = w;
     target.height = h;
     target.texelSizeX = 1.0 / w;
@@ -979,24 +1003,20 @@ class WebGLFluidCursor {
     return newFBO;
   }
 
+  _deleteFBO(target) {
+    if (!target) return;
+    this.gl.deleteFramebuffer(target.fbo);
+    this.gl.deleteTexture(target.texture);
+  }
+
   // === Frame loop ==========================================================
 
-  _updateFrame() {
-    const dt = this._calcDeltaTime();
+  // Called by CursorEffect's loop with dt clamped to 1/60; skipped while paused
+  _update(dt) {
     if (this.resizeCanvas()) this._initFramebuffers();
     this._updateColors(dt);
     this._applyInputs(dt);
     this._step(dt);
-    this._render(null);
-    this.animationId = requestAnimationFrame(() => this._updateFrame());
-  }
-
-  _calcDeltaTime() {
-    const now = Date.now();
-    let dt = (now - this.lastUpdateTime) / 1000;
-    dt = Math.min(dt, 1 / 60); // ~60fps clamp
-    this.lastUpdateTime = now;
-    return dt;
   }
 
   resizeCanvas() {
@@ -1018,7 +1038,7 @@ class WebGLFluidCursor {
     this.colorUpdateTimer += dt * this.config.COLOR_UPDATE_SPEED;
     if (this.colorUpdateTimer >= 1) {
       this.colorUpdateTimer = this._wrap(this.colorUpdateTimer, 0, 1);
-      this.pointers.forEach((p) => (p.color = this._generateColor()));
+      this.pointers.forEach((p) => (p.color = this._identityDye(p.id) || this._generateColor()));
     }
   }
 
@@ -1200,7 +1220,7 @@ class WebGLFluidCursor {
     this.dye.swap();
   }
 
-  _render(target) {
+  _render(target = null) {
     const gl = this.gl;
     
     // Premultiplied alpha blend mode - works with vec4(c, a) output
@@ -1281,7 +1301,7 @@ class WebGLFluidCursor {
       color: null,
       type: type,
       // Smoothing properties
-      smoothingFactor: id.includes("eye") ? 10.0 : 0, // Enable smoothing for eye trackers
+      smoothingFactor: 0, // > 0 interpolates towards each sample; gaze noise is filtered by InputManager
       targetTexcoordX: null,
       targetTexcoordY: null
     };
@@ -1315,8 +1335,15 @@ class WebGLFluidCursor {
 
     const posX = this._scaleByPixelRatio(x);
     const posY = this._scaleByPixelRatio(y);
+    const isNew = !this.pointerMap.has(this._pointerKey(id));
     const pointer = this._getOrCreatePointer(id, color);
-    
+
+    if (isNew) {
+      // Start where the pointer appears (e.g. a finger touching down)
+      // instead of streaking in from the corner
+      pointer.texcoordX = posX / this.canvas.width;
+      pointer.texcoordY = 1.0 - posY / this.canvas.height;
+    }
     this._updatePointerMoveData(pointer, posX, posY, color);
     pointer.moved = true;
   }
@@ -1381,7 +1408,7 @@ class WebGLFluidCursor {
   }
 
   _clickSplat(pointer) {
-    const color = this._generateColor();
+    const color = this._identityDye(pointer.id) || this._generateColor();
     color[0] *= 10.0;
     color[1] *= 10.0;
     color[2] *= 10.0;
@@ -1422,6 +1449,38 @@ class WebGLFluidCursor {
     return [c.r * 0.12, c.g * 0.12, c.b * 0.12];
   }
 
+  /**
+   * Dye colour for a pointer's user identity, at the same intensity as
+   * _generateColor()
+   *
+   * @param {string} id - Pointer id
+   * @returns {number[]|null} Dye colour, or null without an identity
+   * @private
+   */
+  _identityDye(id) {
+    const rgb = this._getIdentityColor(id);
+    return rgb ? rgb.map((c) => c * 0.12) : null;
+  }
+
+  /**
+   * Give every pointer its user's identity colour after the identity changed
+   * @protected
+   */
+  _applyIdentity() {
+    this.pointers.forEach((p) => {
+      p.color = this._identityDye(p.id) || p.color;
+    });
+  }
+
+  /**
+   * Drop the fluid pointer of a removed input pointer (touch ended, user
+   * timed out) so this.pointers does not keep growing
+   * @protected
+   */
+  _onPointerRemove({ id }) {
+    this._removePointer(id);
+  }
+
   _HSVtoRGB(h, s, v) {
     let r,
       g,
@@ -1496,6 +1555,7 @@ class WebGLFluidCursor {
     if (this.pointerMap.has(key)) return this.pointerMap.get(key);
     const p = this._createPointer("mouse", id);
     if (Array.isArray(color)) p.color = color;
+    else p.color = this._identityDye(id);
     this.pointers.push(p);
     this.pointerMap.set(key, p);
     return p;
@@ -1531,6 +1591,21 @@ class WebGLFluidCursor {
   }
 }
 
+/**
+ * Config keys that can be tuned for the whole session (see effect-settings.js)
+ * @type {Object}
+ * @static
+ */
+WebGLFluidCursor.SETTINGS_SCHEMA = {
+  SPLAT_RADIUS: { type: "number", min: 0.05, max: 1, step: 0.05, default: 0.05, label: "Splat Size", panel: true },
+  SPLAT_FORCE: { type: "number", min: 1000, max: 10000, step: 500, default: 1200, label: "Splat Force" },
+  DENSITY_DISSIPATION: { type: "number", min: 0.1, max: 5, step: 0.1, default: 3.5, label: "Dissipation", panel: true },
+  VELOCITY_DISSIPATION: { type: "number", min: 0.1, max: 5, step: 0.1, default: 2, label: "Velocity Fade" },
+  CURL: { type: "number", min: 0, max: 50, step: 1, default: 1, label: "Swirl" },
+  COLOR_UPDATE_SPEED: { type: "number", min: 1, max: 20, step: 1, default: 10, label: "Colour Speed" },
+  SHADING: { type: "boolean", default: true, label: "Shading" },
+};
+
 // Export for different module systems
 if (typeof module !== "undefined" && module.exports) {
   module.exports = WebGLFluidCursor;
@@ -0,0 +1,329 @@
+/**
+ * Gaze Filter - Noise filtering and fixation/saccade classification
+ *
+ * Eye-tracker samples jitter by tens of pixels even while the user is looking
+ * at one spot. InputManager runs the samples of matching pointer sources
+ * through one of these filters before any effect sees them, so every effect
+ * gets the same smoothed position.
+ *
+ * Available filters (see GAZE_FILTERS):
+ *
+ * - "oneEuro":  One Euro filter — heavy smoothing while still, little lag
+ *               while moving fast (Casiez et al. 2012)
+ * - "velocity": Velocity-threshold (I-VT) fixation detection — holds the mean
+ *               of the current fixation and follows saccades directly
+ * - "kalman":   Constant-velocity Kalman filter per axis
+ *
+ * Every filter also classifies each sample as "fixating" or "saccading" by
+ * comparing the raw gaze velocity against `velocityThreshold` (px/s). The
+ * velocity is measured across `velocityWindow` ms of samples, as
+ * sample-to-sample jitter alone can exceed saccade speeds.
+ *
+ * A filter spec is either a filter name or `{ type, ...options }`, e.g.
+ * `{ type: "oneEuro", minCutoff: 0.5 }`.
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ */
+
+/**
+ * Shortest time step used between samples, in seconds; guards against
+ * samples that arrive with the same timestamp
+ * @constant {number}
+ */
+const MIN_DT = 0.001;
+
+/**
+ * Base class: fixation/saccade classification shared by all filters
+ *
+ * Subclasses implement _filter(x, y, dt, state) and _reset().
+ *
+ * @class GazeFilter
+ */
+class GazeFilter {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.velocityThreshold=1000] - Speed (px/s) above which a sample is a saccade
+   * @param {number} [options.velocityWindow=100] - Time span (ms) the velocity is measured over
+   */
+  constructor({ velocityThreshold = 1000, velocityWindow = 100 } = {}) {
+    /** @type {number} Saccade speed threshold in px/s */
+    this.velocityThreshold = velocityThreshold;
+
+    /** @type {number} Time span of the velocity estimate in ms */
+    this.velocityWindow = velocityWindow;
+
+    /** @type {Array<{x: number, y: number, t: number}>} Recent raw samples, oldest first */
+    this._history = [];
+  }
+
+  /**
+   * Filter one sample
+   *
+   * @param {number} x - Raw X in client pixels
+   * @param {number} y - Raw Y in client pixels
+   * @param {number} t - Timestamp in milliseconds
+   * @returns {{x: number, y: number, state: string}} Filtered position and
+   *   "fixating" or "saccading"
+   * @public
+   */
+  filter(x, y, t) {
+    const history = this._history;
+    const last = history[history.length - 1];
+
+    if (!last) {
+      history.push({ x, y, t });
+      this._reset(x, y);
+      return { x, y, state: "fixating" };
+    }
+
+    // Keep one sample at or beyond the window so the span covers it
+    while (history.length > 1 && t - history[1].t >= this.velocityWindow) {
+      history.shift();
+    }
+    const first = history[0];
+    const span = Math.max((t - first.t) / 1000, MIN_DT);
+    const speed = Math.hypot(x - first.x, y - first.y) / span;
+    history.push({ x, y, t });
+
+    const state = speed > this.velocityThreshold ? "saccading" : "fixating";
+    const out = this._filter(x, y, Math.max((t - last.t) / 1000, MIN_DT), state);
+    return { x: out.x, y: out.y, state };
+  }
+
+  /**
+   * Forget all history; the next sample passes through unchanged
+   * @public
+   */
+  reset() {
+    this._history = [];
+  }
+
+  /** @protected */
+  _reset(x, y) {}
+
+  /** @protected */
+  _filter(x, y, dt, state) {
+    return { x, y };
+  }
+}
+
+/**
+ * One Euro filter on both axes
+ *
+ * The cutoff frequency rises with speed: `minCutoff + beta * |velocity|`.
+ * Lower minCutoff removes more jitter at rest; higher beta reduces lag when
+ * moving.
+ *
+ * @class OneEuroFilter
+ * @extends GazeFilter
+ */
+class OneEuroFilter extends GazeFilter {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.minCutoff=1] - Cutoff frequency at rest (Hz)
+   * @param {number} [options.beta=0.01] - Cutoff increase per px/s of speed
+   * @param {number} [options.dCutoff=1] - Cutoff of the velocity estimate (Hz)
+   * @param {number} [options.velocityThreshold=1000] - Saccade threshold (px/s)
+   */
+  constructor({ minCutoff = 1, beta = 0.01, dCutoff = 1, ...options } = {}) {
+    super(options);
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this._axes = null;
+  }
+
+  /** @protected */
+  _reset(x, y) {
+    this._axes = [
+      { value: x, velocity: 0 },
+      { value: y, velocity: 0 },
+    ];
+  }
+
+  /** @protected */
+  _filter(x, y, dt) {
+    const [ax, ay] = this._axes;
+    return { x: this._filterAxis(ax, x, dt), y: this._filterAxis(ay, y, dt) };
+  }
+
+  /** @private */
+  _filterAxis(axis, value, dt) {
+    const velocity = (value - axis.value) / dt;
+    axis.velocity += this._alpha(this.dCutoff, dt) * (velocity - axis.velocity);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(axis.velocity);
+    axis.value += this._alpha(cutoff, dt) * (value - axis.value);
+    return axis.value;
+  }
+
+  /** @private */
+  _alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+}
+
+/**
+ * Velocity-threshold (I-VT) fixation filter
+ *
+ * While fixating, outputs the mean of the last `window` fixation samples so
+ * the point holds steady; a saccade sample passes through unchanged and
+ * starts a new fixation.
+ *
+ * @class VelocityThresholdFilter
+ * @extends GazeFilter
+ */
+class VelocityThresholdFilter extends GazeFilter {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.window=10] - Fixation samples averaged
+   * @param {number} [options.velocityThreshold=1000] - Saccade threshold (px/s)
+   */
+  constructor({ window = 10, ...options } = {}) {
+    super(options);
+    this.window = Math.max(1, Math.round(window));
+    this._samples = [];
+  }
+
+  /** @protected */
+  _reset(x, y) {
+    this._samples = [{ x, y }];
+  }
+
+  /** @protected */
+  _filter(x, y, dt, state) {
+    if (state === "saccading") {
+      this._samples = [];
+      return { x, y };
+    }
+
+    this._samples.push({ x, y });
+    if (this._samples.length > this.window) this._samples.shift();
+
+    let sx = 0;
+    let sy = 0;
+    this._samples.forEach((s) => {
+      sx += s.x;
+      sy += s.y;
+    });
+    return { x: sx / this._samples.length, y: sy / this._samples.length };
+  }
+}
+
+/**
+ * Constant-velocity Kalman filter, run independently on each axis
+ *
+ * State per axis is [position, velocity]. processNoise is the expected
+ * acceleration variance (px²/s⁴); measurementNoise the tracker's position
+ * variance (px²).
+ *
+ * @class KalmanFilter
+ * @extends GazeFilter
+ */
+class KalmanFilter extends GazeFilter {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.processNoise=1000000] - Acceleration variance
+   * @param {number} [options.measurementNoise=400] - Measurement variance
+   * @param {number} [options.velocityThreshold=1000] - Saccade threshold (px/s)
+   */
+  constructor({ processNoise = 1e6, measurementNoise = 400, ...options } = {}) {
+    super(options);
+    this.processNoise = processNoise;
+    this.measurementNoise = measurementNoise;
+    this._axes = null;
+  }
+
+  /** @protected */
+  _reset(x, y) {
+    const axis = (p) => ({ p, v: 0, P: [this.measurementNoise, 0, 0, this.measurementNoise] });
+    this._axes = [axis(x), axis(y)];
+  }
+
+  /** @protected */
+  _filter(x, y, dt) {
+    const [ax, ay] = this._axes;
+    return { x: this._filterAxis(ax, x, dt), y: this._filterAxis(ay, y, dt) };
+  }
+
+  /** @private */
+  _filterAxis(axis, z, dt) {
+    const q = this.processNoise;
+    const [p00, p01, p10, p11] = axis.P;
+
+    // Predict: x = F x, P = F P Fᵀ + Q (white-noise acceleration model)
+    const pos = axis.p + axis.v * dt;
+    const dt2 = dt * dt;
+    const a00 = p00 + dt * (p01 + p10) + dt2 * p11 + (q * dt2 * dt2) / 4;
+    const a01 = p01 + dt * p11 + (q * dt2 * dt) / 2;
+    const a10 = p10 + dt * p11 + (q * dt2 * dt) / 2;
+    const a11 = p11 + q * dt2;
+
+    // Update with the measured position
+    const s = a00 + this.measurementNoise;
+    const k0 = a00 / s;
+    const k1 = a10 / s;
+    const residual = z - pos;
+
+    axis.p = pos + k0 * residual;
+    axis.v = axis.v + k1 * residual;
+    axis.P = [(1 - k0) * a00, (1 - k0) * a01, a10 - k1 * a00, a11 - k1 * a01];
+    return axis.p;
+  }
+}
+
+/**
+ * Filter classes by spec name
+ * @type {Object<string, typeof GazeFilter>}
+ */
+const GAZE_FILTERS = {
+  oneEuro: OneEuroFilter,
+  velocity: VelocityThresholdFilter,
+  kalman: KalmanFilter,
+};
+
+/**
+ * Create a filter from a spec
+ *
+ * @param {string|Object|null} spec - Filter name, `{type, ...options}`, or
+ *   null/"none" for no filtering
+ * @returns {GazeFilter|null} The filter, or null for no filtering
+ */
+function createGazeFilter(spec) {
+  if (!spec || spec === "none") return null;
+
+  const { type, ...options } = typeof spec === "string" ? { type: spec } : spec;
+  const FilterClass = GAZE_FILTERS[type];
+  if (!FilterClass) {
+    console.warn(`[GazeFilter] Unknown filter "${type}", input left unfiltered`);
+    return null;
+  }
+  return new FilterClass(options);
+}
+
+const GazeFilters = {
+  GazeFilter,
+  OneEuroFilter,
+  VelocityThresholdFilter,
+  KalmanFilter,
+  GAZE_FILTERS,
+  createGazeFilter,
+};
+
+if (typeof window !== "undefined") {
+  window.GazeFilters = GazeFilters;
+}
+
+// ES6 module export
+export default GazeFilters;
+export {
+  GazeFilters,
+  GazeFilter,
+  OneEuroFilter,
+  VelocityThresholdFilter,
+  KalmanFilter,
+  GAZE_FILTERS,
+  createGazeFilter,
+};
@@ -0,0 +1,102 @@
+/**
+ * Ghost Pointers - Faded markers for users waiting for their turn
+ *
+ * In turn-taking mode only the current user's pointers reach the effect.
+ * Everyone else still sees where they are looking or pointing through a
+ * faded ring in their identity colour, so they can follow along until their
+ * turn comes. CursorEffect updates the markers once per frame from
+ * InputManager.getGhostPointers().
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class GhostPointers
+ */
+
+class GhostPointers {
+  /**
+   * Create a new GhostPointers overlay
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.size=28] - Marker diameter in CSS pixels
+   * @param {number} [options.opacity=0.45] - Marker opacity
+   * @param {string} [options.zIndex="10000"] - CSS z-index (above the effect canvases)
+   */
+  constructor({ size = 28, opacity = 0.45, zIndex = "10000" } = {}) {
+    this.size = size;
+    this.opacity = opacity;
+    this.zIndex = zIndex;
+
+    /** @type {Map<string, HTMLElement>} Marker per pointer id */
+    this._markers = new Map();
+  }
+
+  /**
+   * Show every given ghost and remove markers of ghosts that are gone
+   *
+   * @param {Array<{id: string, x: number, y: number, color: string}>} entries
+   *   Ghost pointers in client pixels with their CSS colour
+   * @public
+   */
+  update(entries) {
+    const seen = new Set();
+    entries.forEach(({ id, x, y, color }) => {
+      seen.add(id);
+      const el = this._getOrCreateMarker(id);
+      el.style.borderColor = color;
+      el.style.transform = `translate(${x - this.size / 2}px, ${y - this.size / 2}px)`;
+    });
+
+    for (const id of Array.from(this._markers.keys())) {
+      if (!seen.has(id)) this._removeMarker(id);
+    }
+  }
+
+  /**
+   * Remove every marker
+   * @public
+   */
+  destroy() {
+    this._markers.forEach((el) => el.remove());
+    this._markers.clear();
+  }
+
+  /** @private */
+  _removeMarker(id) {
+    const el = this._markers.get(id);
+    if (!el) return;
+    el.remove();
+    this._markers.delete(id);
+  }
+
+  /** @private */
+  _getOrCreateMarker(id) {
+    if (this._markers.has(id)) return this._markers.get(id);
+
+    const el = document.createElement("div");
+    Object.assign(el.style, {
+      position: "fixed",
+      left: "0",
+      top: "0",
+      width: `${this.size}px`,
+      height: `${this.size}px`,
+      boxSizing: "border-box",
+      border: "3px dashed #fff",
+      borderRadius: "50%",
+      opacity: String(this.opacity),
+      pointerEvents: "none",
+      zIndex: this.zIndex,
+    });
+    document.body.appendChild(el);
+
+    this._markers.set(id, el);
+    return el;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.GhostPointers = GhostPointers;
+}
+
+// ES6 module export
+export default GhostPointers;
+export { GhostPointers };
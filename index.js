@@ -4,16 +4,18 @@
  */
 
 // Import cursor classes
+import CursorEffect from './cursor-effect.js';
 import WebGLFluidCursor from './fluid-cursor.js';
 import WebGLBallpitCursor from './ballpit-cursor.js';
 import WebGLMetaBallsCursor from './metaballs-cursor.js';
 
 // Re-export for clean imports
-export { WebGLFluidCursor, WebGLBallpitCursor, WebGLMetaBallsCursor };
-export default { WebGLFluidCursor, WebGLBallpitCursor, WebGLMetaBallsCursor };
+export { CursorEffect, WebGLFluidCursor, WebGLBallpitCursor, WebGLMetaBallsCursor };
+export default { CursorEffect, WebGLFluidCursor, WebGLBallpitCursor, WebGLMetaBallsCursor };
 
 // Also make available globally for script tag usage
 if (typeof window !== 'undefined') {
+  window.CursorEffect = CursorEffect;
   window.WebGLFluidCursor = WebGLFluidCursor;
   window.WebGLBallpitCursor = WebGLBallpitCursor;
   window.WebGLMetaBallsCursor = WebGLMetaBallsCursor;
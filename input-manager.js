@@ -8,15 +8,67 @@
  * Features:
  * - Multi-pointer input handling (mouse, eye gaze, etc.)
  * - Dynamic user ball spawning for multi-user scenarios
- * - Input prioritization (mouse over eye gaze)
- * - Automatic cleanup of inactive users
+ * - Input prioritization with selectable target policies (see TARGET_POLICIES)
+ * - Automatic cleanup of inactive users: pointers fade out, then are removed
+ * - Turn taking: only one user's pointers drive the effect, others are ghosts
+ * - Gaze filtering (One Euro, I-VT fixation, Kalman) per pointer source
+ * - Fixation/saccade classification of filtered pointers
+ * - Dwell detection for eye-gaze pointers ("dwell" events)
  * - Cross-cursor compatibility and unified API
  *
+ * Events (see EventEmitter):
+ * - "pointeradd"    {id, x, y}           - A pointer reported its first position
+ * - "pointermove"   {id, x, y, rawX, rawY} - A pointer moved (x/y filtered)
+ * - "pointerdown"   {id, x, y}           - A pointer was pressed (pointerDown())
+ * - "pointerup"     {id, x, y}           - A pointer was released (pointerUp())
+ * - "pointeridle"   {id, x, y}           - A pointer has not moved for idleTimeout
+ * - "pointerremove" {id, x, y, color, reason} - A pointer is gone; reason is
+ *                                          "removed", "timeout" or "reset"
+ * - "dwellprogress" {id, x, y, progress} - A gaze pointer is holding still (progress 0-1)
+ * - "dwellcancel"   {id}                 - The pointer moved away or was removed
+ * - "dwell"         {id, x, y}           - The pointer held still for dwellTime
+ * - "gazestate"     {id, state}          - A filtered pointer switched between
+ *                                          "fixating" and "saccading"
+ *
  * @author Squidly Team
  * @version 1.0.0
  * @class InputManager
+ * @extends EventEmitter
+ */
+
+// Import EventEmitter (dwell and pointer events)
+import EventEmitter from "./event-emitter.js";
+// Import gaze filters (noise filtering and fixation detection)
+import { createGazeFilter } from "./gaze-filter.js";
+
+/**
+ * Policies for choosing the target pointer (getTargetPointer)
+ *
+ * - mouse:      a pointer with id "mouse" wins, otherwise the most recent (default)
+ * - host:       the host's most recent pointer, otherwise the most recent
+ * - user:       the most recent pointer of targetUser, otherwise the most recent
+ * - active:     the pointer that moved the most lately
+ * - average:    a virtual pointer at the mean position of all pointers
+ * - roundrobin: each pointer leads in turn for turnInterval ms
+ *
+ * @constant {string[]}
  */
-class InputManager {
+const TARGET_POLICIES = ["mouse", "host", "user", "active", "average", "roundrobin"];
+
+/**
+ * Human readable policy names for icon labels
+ * @constant {Object<string, string>}
+ */
+const TARGET_POLICY_LABELS = {
+  mouse: "Mouse First",
+  host: "Host First",
+  user: "User",
+  active: "Most Active",
+  average: "Average",
+  roundrobin: "Take Turns",
+};
+
+class InputManager extends EventEmitter {
   /**
    * Create a new InputManager instance
    *
@@ -25,9 +77,29 @@ class InputManager {
    * @param {string} [options.cursorType='fluid'] - Type of cursor ('fluid' or 'ballpit')
    * @param {boolean} [options.useBallAssignment=false] - Whether to use ball assignment for users
    * @param {number} [options.inactiveTimeout=5000] - Timeout for inactive users in milliseconds
+   * @param {boolean} [options.autoCleanup=true] - Remove inactive pointers from tick()
+   * @param {number} [options.cleanupInterval=250] - How often (ms) tick() looks for inactive pointers
+   * @param {number} [options.fadeOutTime=800] - How long (ms) an inactive pointer fades out
+   *   (see getFade()) before it is removed
+   * @param {number} [options.idleTimeout=2000] - Time (ms) without movement before "pointeridle"
    * @param {number} [options.firstUserBallIndex=1] - First ball index to assign to users (set to COUNT in ballpit so user balls live outside the follower pool)
+   * @param {number} [options.dwellTime=1000] - How long (ms) a gaze pointer must hold still to dwell
+   * @param {number} [options.dwellRadius=40] - How far (px) the pointer may drift while dwelling
+   * @param {Function} [options.dwellFilter] - Returns true for pointer ids that can dwell
+   *   (defaults to eye-gaze ids, i.e. ids containing "eye")
+   * @param {Object<string, string|Object|null>} [options.filters={eye: "oneEuro"}] - Gaze
+   *   filter spec per pointer source; a pointer uses the first source contained in
+   *   its id (see gaze-filter.js for the specs)
+   * @param {string} [options.targetPolicy="mouse"] - How getTargetPointer() picks a pointer
+   *   (see TARGET_POLICIES)
+   * @param {string|null} [options.targetUser=null] - User that leads with the "user" policy
+   * @param {number} [options.turnInterval=5000] - Turn length (ms) of the "roundrobin" policy
+   * @param {number} [options.activityWindow=2000] - Time (ms) over which movement counts
+   *   towards the "active" policy
    */
   constructor(owner, options = {}) {
+    super();
+
     /** @type {Object} The cursor instance that owns this InputManager */
     this.owner = owner;
 
@@ -37,9 +109,30 @@ class InputManager {
       useBallAssignment: options.useBallAssignment || false,
       inactiveTimeout: options.inactiveTimeout || 5000,
       firstUserBallIndex: options.firstUserBallIndex || 1,
+      autoCleanup: true,
+      cleanupInterval: 250,
+      fadeOutTime: 800,
+      idleTimeout: 2000,
+      dwellTime: 1000,
+      dwellRadius: 40,
+      dwellFilter: (id) => String(id).includes("eye"),
+      filters: { eye: "oneEuro" },
+      targetPolicy: "mouse",
+      targetUser: null,
+      turnInterval: 5000,
+      activityWindow: 2000,
       ...options,
     };
 
+    /** @type {{id: string, since: number}|null} Current "roundrobin" turn */
+    this._turn = null;
+
+    /** @type {string|null} User whose turn it is (null = everyone drives the effect) */
+    this._turnUser = null;
+
+    /** @type {Map<string, {id: string, x: number, y: number, lastSeen: number}>} Positions of users waiting for their turn */
+    this._ghosts = new Map();
+
     /** @type {Map<string, Object>} Internal pointer storage */
     this._pointers = new Map();
 
@@ -49,6 +142,9 @@ class InputManager {
     /** @type {number} Next available ball index — starts at firstUserBallIndex so user balls live beyond the follower pool */
     this._nextAvailableBallIndex = this.options.firstUserBallIndex;
 
+    /** @type {number[]} Released ball indices, lowest first, reused before new ones are handed out */
+    this._freeBallIndices = [];
+
     /** @type {Object} Performance and usage statistics */
     this._stats = {
       totalUpdates: 0,
@@ -80,15 +176,35 @@ class InputManager {
       return;
     }
 
+    const now = performance.now();
+
+    // Users waiting for their turn are only tracked for display
+    if (this.isWaitingForTurn(id)) {
+      this._ghosts.set(id, { id: id, x: x, y: y, lastSeen: now });
+      return;
+    }
+
+    const isNew = !this._pointers.has(id);
     const pointer = this._getOrCreatePointer(id, color);
 
-    // Update pointer data
-    pointer.x = x;
-    pointer.y = y;
-    pointer.lastSeen = performance.now();
+    // Update pointer data (x/y hold the filtered position)
+    const filtered = this._filterPosition(pointer, x, y, now);
+    if (pointer.lastSeen) {
+      pointer.activity =
+        this._decayedActivity(pointer, now) +
+        Math.hypot(filtered.x - pointer.x, filtered.y - pointer.y);
+    }
+    pointer.rawX = x;
+    pointer.rawY = y;
+    pointer.x = filtered.x;
+    pointer.y = filtered.y;
+    pointer.lastSeen = now;
+    pointer.idle = false;
     pointer.color = color || pointer.color;
     this._stats.totalUpdates++;
 
+    this._updateDwell(pointer, pointer.lastSeen);
+
     // Handle based on cursor type
     if (this.options.cursorType === "ballpit") {
       this._handleBallpitInput(pointer);
@@ -96,10 +212,15 @@ class InputManager {
       this._handleFluidInput(pointer);
     }
 
-    // Trigger owner callback
-    if (this.owner._onPointerInputChanged) {
-      this.owner._onPointerInputChanged();
-    }
+    // Lifecycle events for the effects
+    if (isNew) this.emit("pointeradd", { id: id, x: pointer.x, y: pointer.y });
+    this.emit("pointermove", {
+      id: id,
+      x: pointer.x,
+      y: pointer.y,
+      rawX: x,
+      rawY: y,
+    });
   }
 
   /**
@@ -187,9 +308,17 @@ class InputManager {
         id: id,
         x: 0,
         y: 0,
+        rawX: 0,
+        rawY: 0,
         lastSeen: 0,
+        activity: 0, // Recent movement in px, decays over activityWindow
         color: color,
         ballIndex: null, // Ball index is assigned dynamically for all users
+        dwell: null, // {x, y, start, fired} while a gaze pointer holds still
+        filter: this._createFilter(id), // GazeFilter, or null when unfiltered
+        gazeState: null, // "fixating" / "saccading" for filtered pointers
+        down: false, // Pressed between pointerDown() and pointerUp()
+        idle: false, // "pointeridle" fired since the last move
       });
     }
     return this._pointers.get(id);
@@ -200,14 +329,18 @@ class InputManager {
    *
    * Assigns a unique ball index to a user for the ballpit cursor.
    * Applies to ALL users (mouse, eye gaze, remote, etc.) so each person
-   * gets their own dedicated ball outside the follower pool.
+   * gets their own dedicated ball outside the follower pool. Indices of
+   * users who left are recycled (lowest first), so the slot range only grows
+   * with the number of users connected at the same time.
    *
    * @param {string} userType - The user type identifier
    * @private
    */
   _assignBallIndex(userType) {
     if (!this._userBallIndices.has(userType)) {
-      const ballIndex = this._nextAvailableBallIndex++;
+      const ballIndex = this._freeBallIndices.length
+        ? this._freeBallIndices.shift()
+        : this._nextAvailableBallIndex++;
       this._userBallIndices.set(userType, ballIndex);
       const pointer = this._pointers.get(userType);
       if (pointer) pointer.ballIndex = ballIndex;
@@ -227,13 +360,21 @@ class InputManager {
    * Used when a user becomes inactive or disconnects.
    *
    * @param {string} userType - The user type identifier to release
+   * @param {string} [reason="removed"] - Reason reported with "pointerremove"
    * @private
    */
-  _releaseBallIndex(userType) {
+  _releaseBallIndex(userType, reason = "removed") {
     if (this._userBallIndices.has(userType)) {
       const ballIndex = this._userBallIndices.get(userType);
       this._userBallIndices.delete(userType);
-      this._pointers.delete(userType);
+      this._freeBallIndices.push(ballIndex);
+      this._freeBallIndices.sort((a, b) => a - b);
+      // Hand the top of the range back so it shrinks when users leave
+      while (this._freeBallIndices[this._freeBallIndices.length - 1] === this._nextAvailableBallIndex - 1) {
+        this._freeBallIndices.pop();
+        this._nextAvailableBallIndex--;
+      }
+      this._deletePointer(userType, reason);
       console.log(`Released ball index ${ballIndex} from ${userType}`);
       // Notify owner so it can hide/clean up the ball slot
       if (this.owner.onUserBallRemoved) {
@@ -242,6 +383,302 @@ class InputManager {
     }
   }
 
+  /**
+   * Remove a pointer from storage
+   *
+   * Cancels any dwell in progress so its progress ring is hidden, and emits
+   * "pointerremove" so effects can drop (or fade out) their own per-pointer state.
+   *
+   * @param {string} id - The pointer identifier
+   * @param {string} [reason="removed"] - "removed", "timeout" or "reset"
+   * @private
+   */
+  _deletePointer(id, reason = "removed") {
+    const pointer = this._pointers.get(id);
+    if (!pointer) return;
+    this._pointers.delete(id);
+    if (pointer.dwell && !pointer.dwell.fired) {
+      this.emit("dwellcancel", { id });
+    }
+    this.emit("pointerremove", {
+      id: id,
+      x: pointer.x,
+      y: pointer.y,
+      color: pointer.color,
+      reason: reason,
+    });
+  }
+
+  // === Gaze filtering ===
+
+  /**
+   * Create the gaze filter for a pointer from the first matching source
+   *
+   * @param {string} id - The pointer identifier
+   * @returns {GazeFilter|null} The filter, or null when the id matches no source
+   * @private
+   */
+  _createFilter(id) {
+    const source = Object.keys(this.options.filters).find((key) =>
+      String(id).includes(key),
+    );
+    return source ? createGazeFilter(this.options.filters[source]) : null;
+  }
+
+  /**
+   * Run a raw sample through the pointer's filter and track its gaze state
+   *
+   * @param {Object} pointer - The pointer being updated
+   * @param {number} x - Raw X coordinate
+   * @param {number} y - Raw Y coordinate
+   * @param {number} now - Current performance.now() timestamp
+   * @returns {{x: number, y: number}} Position to use for the pointer
+   * @private
+   */
+  _filterPosition(pointer, x, y, now) {
+    if (!pointer.filter) return { x, y };
+
+    const result = pointer.filter.filter(x, y, now);
+    if (result.state !== pointer.gazeState) {
+      pointer.gazeState = result.state;
+      this.emit("gazestate", { id: pointer.id, state: result.state });
+    }
+    return result;
+  }
+
+  /**
+   * Set the gaze filter of a pointer source at runtime
+   *
+   * Pointers whose id contains the source restart with the new filter.
+   *
+   * @param {string} source - Id fragment, e.g. "eye"
+   * @param {string|Object|null} spec - Filter spec, or null to stop filtering the source
+   * @public
+   */
+  setFilter(source, spec) {
+    const filters = Object.assign({}, this.options.filters);
+    if (spec) filters[source] = spec;
+    else delete filters[source];
+    this.options.filters = filters;
+
+    for (const pointer of this._pointers.values()) {
+      if (!String(pointer.id).includes(source)) continue;
+      pointer.filter = this._createFilter(pointer.id);
+      pointer.gazeState = null;
+    }
+  }
+
+  /**
+   * Get the fixation state of a pointer
+   *
+   * @param {string} id - The unique pointer identifier
+   * @returns {string|null} "fixating", "saccading", or null when the pointer
+   *   is unknown or unfiltered
+   * @public
+   */
+  getGazeState(id) {
+    const pointer = this._pointers.get(id);
+    return pointer ? pointer.gazeState : null;
+  }
+
+  // === Turn taking ===
+
+  /**
+   * Let only one user's pointers drive the effect
+   *
+   * Pointers of every other user are removed (freeing their balls, blobs and
+   * dye) and their further updates are kept as ghosts, see getGhostPointers().
+   *
+   * @param {string|null} user - User whose turn it is, or null to let everyone in
+   * @public
+   */
+  setTurnUser(user) {
+    if (user === this._turnUser) return;
+    this._turnUser = user;
+
+    if (user === null) {
+      this._ghosts.clear();
+      return;
+    }
+
+    // The new user's ghosts come back to life with their next update
+    for (const id of Array.from(this._ghosts.keys())) {
+      if (this._userOf(id) === user) this._ghosts.delete(id);
+    }
+    for (const [id, pointer] of Array.from(this._pointers.entries())) {
+      if (this._userOf(id) === user) continue;
+      this._ghosts.set(id, { id: id, x: pointer.x, y: pointer.y, lastSeen: pointer.lastSeen });
+      this.removePointer(id);
+    }
+  }
+
+  /**
+   * Whether a pointer belongs to a user waiting for their turn
+   *
+   * @param {string} id - The pointer identifier
+   * @returns {boolean} True if turn taking is on and it is another user's turn
+   * @public
+   */
+  isWaitingForTurn(id) {
+    return this._turnUser !== null && this._userOf(id) !== this._turnUser;
+  }
+
+  /**
+   * Get the user whose turn it is
+   * @returns {string|null} The user, or null when everyone drives the effect
+   * @public
+   */
+  getTurnUser() {
+    return this._turnUser;
+  }
+
+  /**
+   * Get the pointers of users waiting for their turn
+   *
+   * Ghosts that have not moved for inactiveTimeout are dropped.
+   *
+   * @returns {Array<{id: string, x: number, y: number, lastSeen: number}>}
+   * @public
+   */
+  getGhostPointers() {
+    const now = performance.now();
+    for (const [id, ghost] of Array.from(this._ghosts.entries())) {
+      if (now - ghost.lastSeen > this.options.inactiveTimeout) this._ghosts.delete(id);
+    }
+    return Array.from(this._ghosts.values(), (ghost) => Object.assign({}, ghost));
+  }
+
+  // === Dwell detection ===
+
+  /**
+   * Track whether a gaze pointer holds still and fire "dwell" when it has
+   *
+   * The dwell anchor is where the pointer settled. Moving further than
+   * dwellRadius from it restarts the timer; after a dwell fires the pointer
+   * must move away before it can dwell again.
+   *
+   * @param {Object} pointer - The pointer that moved
+   * @param {number} now - Current performance.now() timestamp
+   * @private
+   */
+  _updateDwell(pointer, now) {
+    if (!this.options.dwellFilter(pointer.id)) return;
+
+    const dwell = pointer.dwell;
+    if (
+      !dwell ||
+      Math.hypot(pointer.x - dwell.x, pointer.y - dwell.y) > this.options.dwellRadius
+    ) {
+      if (dwell && !dwell.fired && now - dwell.start > 0) {
+        this.emit("dwellcancel", { id: pointer.id });
+      }
+      pointer.dwell = { x: pointer.x, y: pointer.y, start: now, fired: false };
+      return;
+    }
+
+    this._checkDwell(pointer, now);
+  }
+
+  /**
+   * Report dwell progress for a pointer and fire once it completes
+   *
+   * @param {Object} pointer - A pointer with an active dwell anchor
+   * @param {number} now - Current performance.now() timestamp
+   * @private
+   */
+  _checkDwell(pointer, now) {
+    const dwell = pointer.dwell;
+    if (!dwell || dwell.fired) return;
+
+    const progress = Math.min((now - dwell.start) / this.options.dwellTime, 1);
+    this.emit("dwellprogress", { id: pointer.id, x: dwell.x, y: dwell.y, progress });
+
+    if (progress >= 1) {
+      dwell.fired = true;
+      this.emit("dwell", { id: pointer.id, x: dwell.x, y: dwell.y });
+    }
+  }
+
+  /**
+   * Advance time-based input state; call once per animation frame
+   *
+   * Gaze samples can arrive irregularly, so dwell progress is also advanced
+   * here to keep progress rings smooth and dwells firing on time. Pointers
+   * that have not moved for idleTimeout fire "pointeridle" once, and every
+   * cleanupInterval pointers that have faded out are removed (autoCleanup).
+   *
+   * @param {number} [now=performance.now()] - Current timestamp
+   * @public
+   */
+  tick(now = performance.now()) {
+    for (const pointer of this._pointers.values()) {
+      if (pointer.dwell) this._checkDwell(pointer, now);
+      if (!pointer.idle && now - pointer.lastSeen > this.options.idleTimeout) {
+        pointer.idle = true;
+        this.emit("pointeridle", { id: pointer.id, x: pointer.x, y: pointer.y });
+      }
+    }
+
+    if (
+      this.options.autoCleanup &&
+      now - this._stats.lastCleanup >= this.options.cleanupInterval
+    ) {
+      this.cleanupInactiveUsers();
+    }
+  }
+
+  /**
+   * How visible a pointer should be drawn
+   *
+   * 1 while the pointer is active; after inactiveTimeout without updates it
+   * drops to 0 over fadeOutTime, and the pointer is removed once it reaches 0.
+   *
+   * @param {string} id - The pointer identifier
+   * @param {number} [now=performance.now()] - Current timestamp
+   * @returns {number} Fade from 1 (fully visible) to 0, or 0 for unknown pointers
+   * @public
+   */
+  getFade(id, now = performance.now()) {
+    const pointer = this._pointers.get(id);
+    if (!pointer) return 0;
+    if (id === "mouse") return 1;
+    const faded = now - pointer.lastSeen - this.options.inactiveTimeout;
+    if (faded <= 0) return 1;
+    return Math.max(0, 1 - faded / Math.max(this.options.fadeOutTime, 1));
+  }
+
+  // === Press state ===
+
+  /**
+   * Report that a pointer was pressed (touch down, pen down, switch held)
+   *
+   * @param {string} id - The pointer identifier
+   * @returns {boolean} True if the pointer exists
+   * @public
+   */
+  pointerDown(id) {
+    const pointer = this._pointers.get(id);
+    if (!pointer) return false;
+    pointer.down = true;
+    this.emit("pointerdown", { id: id, x: pointer.x, y: pointer.y });
+    return true;
+  }
+
+  /**
+   * Report that a pressed pointer was released
+   *
+   * @param {string} id - The pointer identifier
+   * @returns {boolean} True if the pointer was pressed
+   * @public
+   */
+  pointerUp(id) {
+    const pointer = this._pointers.get(id);
+    if (!pointer || !pointer.down) return false;
+    pointer.down = false;
+    this.emit("pointerup", { id: id, x: pointer.x, y: pointer.y });
+    return true;
+  }
+
   // === Public API ===
 
   /**
@@ -254,6 +691,7 @@ class InputManager {
    * @public
    */
   getActivePointers() {
+    const now = performance.now();
     return Array.from(this._pointers.entries()).map(([id, pointer]) => ({
       id: pointer.id,
       x: pointer.x,
@@ -261,36 +699,175 @@ class InputManager {
       lastSeen: pointer.lastSeen,
       color: pointer.color,
       ballIndex: pointer.ballIndex,
+      rawX: pointer.rawX,
+      rawY: pointer.rawY,
+      gazeState: pointer.gazeState,
+      down: pointer.down,
+      idle: pointer.idle,
+      fade: this.getFade(id, now),
     }));
   }
 
   /**
    * Get the target pointer with input prioritization
    *
-   * Returns the most appropriate pointer to use for cursor effects.
-   * Prioritizes mouse input over eye gaze input.
+   * Returns the most appropriate pointer to use for cursor effects, chosen
+   * by the current target policy (see setTargetPolicy()). The "average"
+   * policy returns a virtual pointer with id "average".
    *
    * @returns {Object|null} Target pointer object or null if no active pointers
    * @public
    */
   getTargetPointer() {
-    // First try to use mouse input
-    if (this._pointers.has("mouse")) {
-      return this._pointers.get("mouse");
-    } else {
-      // Fallback to most recent eyegaze input
-      let latest = null;
-      let latestTime = -1;
-      for (const [id, p] of this._pointers.entries()) {
-        if (p.lastSeen > latestTime) {
-          latestTime = p.lastSeen;
-          latest = p;
+    if (!this._pointers.size) return null;
+
+    const now = performance.now();
+    switch (this.options.targetPolicy) {
+      case "host":
+        return this._latestPointer((p) => this._userOf(p.id) === "host");
+
+      case "user":
+        return this._latestPointer(
+          (p) => this._userOf(p.id) === this.options.targetUser,
+        );
+
+      case "active": {
+        let best = null;
+        let bestActivity = -1;
+        for (const p of this._pointers.values()) {
+          const activity = this._decayedActivity(p, now);
+          if (activity > bestActivity) {
+            bestActivity = activity;
+            best = p;
+          }
         }
+        return best;
       }
-      return latest;
+
+      case "average":
+        return this._averagePointer();
+
+      case "roundrobin":
+        return this._turnPointer(now);
+
+      default:
+        // First try to use mouse input, then fall back to most recent input
+        return this._pointers.get("mouse") || this._latestPointer();
     }
   }
 
+  /**
+   * Choose how getTargetPointer() picks the pointer that leads
+   *
+   * @param {string} policy - One of TARGET_POLICIES
+   * @param {Object} [options={}]
+   * @param {string|null} [options.user] - User that leads with the "user" policy
+   * @param {number} [options.interval] - Turn length (ms) with the "roundrobin" policy
+   * @returns {boolean} False if the policy is unknown (the current one is kept)
+   * @public
+   */
+  setTargetPolicy(policy, { user, interval } = {}) {
+    if (!TARGET_POLICIES.includes(policy)) {
+      console.warn(`InputManager: Unknown target policy "${policy}"`);
+      return false;
+    }
+
+    this.options.targetPolicy = policy;
+    if (user !== undefined) this.options.targetUser = user;
+    if (typeof interval === "number" && interval > 0) {
+      this.options.turnInterval = interval;
+    }
+    this._turn = null;
+    return true;
+  }
+
+  /**
+   * Get the current target policy
+   *
+   * @returns {{policy: string, user: string|null, interval: number}}
+   * @public
+   */
+  getTargetPolicy() {
+    return {
+      policy: this.options.targetPolicy,
+      user: this.options.targetUser,
+      interval: this.options.turnInterval,
+    };
+  }
+
+  /**
+   * User a pointer id belongs to ("host-eyes" → "host")
+   *
+   * Uses the owner's participant identity when it has one, so local ids
+   * such as "mouse" resolve to this client's user.
+   *
+   * @param {string} id - The pointer identifier
+   * @returns {string} User key
+   * @private
+   */
+  _userOf(id) {
+    const identity = this.owner && this.owner.identity;
+    return identity ? identity.getUser(id) : String(id).split("-")[0];
+  }
+
+  /**
+   * Most recently updated pointer, preferring those that match a filter
+   *
+   * @param {Function} [match] - Pointers to prefer; all pointers if omitted
+   * @returns {Object|null} The pointer, or the most recent of all when none match
+   * @private
+   */
+  _latestPointer(match = null) {
+    let latest = null;
+    let fallback = null;
+    for (const p of this._pointers.values()) {
+      if (!fallback || p.lastSeen > fallback.lastSeen) fallback = p;
+      if (match && match(p) && (!latest || p.lastSeen > latest.lastSeen)) latest = p;
+    }
+    return latest || fallback;
+  }
+
+  /**
+   * Movement of a pointer over the activity window, decayed to now
+   * @private
+   */
+  _decayedActivity(pointer, now) {
+    const age = Math.max(0, now - pointer.lastSeen);
+    return pointer.activity * Math.exp(-age / this.options.activityWindow);
+  }
+
+  /**
+   * Virtual pointer at the mean position of all pointers
+   * @private
+   */
+  _averagePointer() {
+    let x = 0;
+    let y = 0;
+    let lastSeen = 0;
+    for (const p of this._pointers.values()) {
+      x += p.x;
+      y += p.y;
+      lastSeen = Math.max(lastSeen, p.lastSeen);
+    }
+    const n = this._pointers.size;
+    return { id: "average", x: x / n, y: y / n, lastSeen, color: null, ballIndex: null };
+  }
+
+  /**
+   * Pointer whose turn it is, moving to the next one every turnInterval
+   * @private
+   */
+  _turnPointer(now) {
+    const turn = this._turn;
+    if (!turn || !this._pointers.has(turn.id) || now - turn.since >= this.options.turnInterval) {
+      // Next id in sorted order after the previous turn, wrapping around
+      const ids = Array.from(this._pointers.keys()).sort();
+      const next = (turn && ids.find((id) => id > turn.id)) || ids[0];
+      this._turn = { id: next, since: now };
+    }
+    return this._pointers.get(this._turn.id);
+  }
+
   /**
    * Get user ball indices mapping
    *
@@ -352,7 +929,7 @@ class InputManager {
       if (this.options.useBallAssignment) {
         this._releaseBallIndex(id);
       } else {
-        this._pointers.delete(id);
+        this._deletePointer(id);
       }
       return true;
     }
@@ -363,15 +940,18 @@ class InputManager {
    * Clean up inactive users based on timeout
    *
    * Removes users who haven't been active for the specified timeout period.
-   * Mouse users are never cleaned up automatically.
+   * Mouse users are never cleaned up automatically. tick() calls this every
+   * cleanupInterval, so effects only need it to force an early cleanup.
    *
-   * @param {number} [timeoutMs=null] - Timeout in milliseconds (uses default if null)
+   * @param {number} [timeoutMs=null] - Timeout in milliseconds (defaults to
+   *   inactiveTimeout + fadeOutTime, i.e. once the pointer has faded out)
    * @returns {number} Number of users removed
    * @public
    */
   cleanupInactiveUsers(timeoutMs = null) {
-    const timeout = timeoutMs || this.options.inactiveTimeout;
+    const timeout = timeoutMs || this.options.inactiveTimeout + this.options.fadeOutTime;
     const now = performance.now();
+    this._updateStats();
     let removed = 0;
 
     const toRemove = [];
@@ -383,9 +963,9 @@ class InputManager {
 
     toRemove.forEach((id) => {
       if (this.options.useBallAssignment) {
-        this._releaseBallIndex(id);
+        this._releaseBallIndex(id, "timeout");
       } else {
-        this._pointers.delete(id);
+        this._deletePointer(id, "timeout");
       }
       removed++;
     });
@@ -420,7 +1000,7 @@ class InputManager {
       if (this.options.useBallAssignment) {
         this._releaseBallIndex(id);
       } else {
-        this._pointers.delete(id);
+        this._deletePointer(id);
       }
       removed++;
     });
@@ -475,15 +1055,48 @@ class InputManager {
    * @public
    */
   reset() {
-    this._pointers.clear();
+    for (const id of Array.from(this._pointers.keys())) {
+      this._deletePointer(id, "reset");
+    }
     this._userBallIndices.clear();
     this._nextAvailableBallIndex = this.options.firstUserBallIndex;
+    this._freeBallIndices = [];
+    this._turn = null;
+    this._ghosts.clear();
     this._stats = {
       totalUpdates: 0,
       lastCleanup: performance.now(),
     };
   }
 
+  /**
+   * Move the user ball range so it starts at a new index
+   *
+   * Used when the owner rebuilds its physics buffers at runtime (e.g. the
+   * ballpit COUNT changed). Existing assignments keep their relative order.
+   *
+   * @param {number} index - New first user ball index
+   * @returns {Array<{userType: string, from: number, to: number}>} Moved assignments
+   * @public
+   */
+  setFirstUserBallIndex(index) {
+    const offset = index - this.options.firstUserBallIndex;
+    const moved = [];
+
+    this.options.firstUserBallIndex = index;
+    this._nextAvailableBallIndex += offset;
+    this._freeBallIndices = this._freeBallIndices.map((i) => i + offset);
+    for (const [userType, ballIndex] of this._userBallIndices) {
+      const to = ballIndex + offset;
+      this._userBallIndices.set(userType, to);
+      const pointer = this._pointers.get(userType);
+      if (pointer) pointer.ballIndex = to;
+      moved.push({ userType, from: ballIndex, to });
+    }
+
+    return moved;
+  }
+
   /**
    * Set cursor type and reconfigure the InputManager
    *
@@ -513,4 +1126,4 @@ if (typeof module !== "undefined" && module.exports) {
 
 // ES6 module export
 export default InputManager;
-export { InputManager };
+export { InputManager, TARGET_POLICIES, TARGET_POLICY_LABELS };
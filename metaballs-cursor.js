@@ -1,12 +1,13 @@
 // metaballs-cursor.js
 /**
  * WebGL MetaBalls Cursor (OGL)
- * Mirrors the API of WebGLFluidCursor/WebGLBallpitCursor so app.js can switch to it.
+ * Shares the CursorEffect lifecycle with WebGLFluidCursor/WebGLBallpitCursor so app.js can switch to it.
  * - Overlay <canvas> fixed to viewport (or iframe bounds)
  * - Unified InputManager drives iMouse uniform
  * - Proper resource cleanup via destroy()
  */
 
+import CursorEffect from "./cursor-effect.js";
 import InputManager from "./input-manager.js";
 import { CollisionSoundEngine } from "./sound-engine.js";
 
@@ -67,10 +68,10 @@ uniform vec3 iMetaBalls[50];
 uniform float iClumpFactor;
 uniform bool enableTransparency;
 
-// NEW: multi-pointer support
+// multi-pointer support: one column per pointer, any number of pointers
+// row 0: xy = pixel position, z = radius; row 1: rgb = per-pointer color
 uniform int iPointerCount;
-uniform vec3 iPointerPosRad[16];   // xy = pixel position, z = radius
-uniform vec3 iPointerColors[16];   // per-pointer color
+uniform highp sampler2D iPointerData;
 
 out vec4 outColor;
 
@@ -95,13 +96,12 @@ void main() {
   // multi-pointer metaballs + color accumulation
   float mPtrs = 0.0;
   vec3 ptrColorAcc = vec3(0.0);
-  for (int j=0;j<16;j++){
-    if (j >= iPointerCount) break;
-    vec2 c = (iPointerPosRad[j].xy - iResolution.xy * 0.5) * scale;
-    float r = iPointerPosRad[j].z;
-    float v = getMetaBallValue(c, r, coord);
+  for (int j=0;j<iPointerCount;j++){
+    vec3 posRad = texelFetch(iPointerData, ivec2(j, 0), 0).xyz;
+    vec2 c = (posRad.xy - iResolution.xy * 0.5) * scale;
+    float v = getMetaBallValue(c, posRad.z, coord);
     mPtrs += v;
-    ptrColorAcc += iPointerColors[j] * v;
+    ptrColorAcc += texelFetch(iPointerData, ivec2(j, 1), 0).rgb * v;
   }
 
   float total = mAnim + mPtrs;
@@ -118,9 +118,16 @@ void main() {
 }
 `;
 
-class WebGLMetaBallsCursor {
-  constructor({ configOverrides = {}, autoMouseEvents = false } = {}) {
-    this.ready = false;
+class WebGLMetaBallsCursor extends CursorEffect {
+  constructor({
+    configOverrides = {},
+    autoMouseEvents = false,
+    touchEvents = true,
+    onTouch = null,
+    onReady = null,
+  } = {}) {
+    super({ autoMouseEvents, touchEvents, onTouch, onReady });
+
     this.ogl = null;
     this.renderer = null;
     this.gl = null;
@@ -130,7 +137,6 @@ class WebGLMetaBallsCursor {
     this.program = null;
     this.metaBalls = [];
     this.ballParams = [];
-    this.animationId = null;
     this.collisionStates = new Map(); // Track collision states per pointer
 
     this.soundEngine = new CollisionSoundEngine({
@@ -154,20 +160,13 @@ class WebGLMetaBallsCursor {
         CURSOR_COLOR: [1, 1, 1],
         ENABLE_TRANSPARENCY: true,
         CURSOR_INTERACTION: true,
+        PAUSED: false,
       },
       configOverrides || {},
     );
 
     // === overlay canvas like the others
-    this.canvas = document.createElement("canvas");
-    Object.assign(this.canvas.style, {
-      position: "fixed",
-      zIndex: "9999",
-      pointerEvents: "none",
-      background: "transparent",
-    });
-    document.body.appendChild(this.canvas);
-    this._updateCanvasPosition();
+    this._createCanvas({ zIndex: "9999" });
 
     // unified inputs (treat as "fluid" branch so InputManager calls our _updatePointerMoveData)
     this.inputManager = new InputManager(this, {
@@ -176,71 +175,90 @@ class WebGLMetaBallsCursor {
       inactiveTimeout: 5000,
     });
 
-    // optional auto mouse (kept for parity with your other cursors)
-    this._autoMouse = autoMouseEvents;
-    if (this._autoMouse) {
-      this._onMouseMove = (e) =>
-        this.inputManager.updatePointerPosition(
-          e.clientX,
-          e.clientY,
-          null,
-          "mouse",
-        );
-      window.addEventListener("mousemove", this._onMouseMove, {
-        passive: true,
-      });
-    }
+    // Animation runs on simulation time, which only advances while playing.
+    // Allow larger steps than the default so slow devices keep real-time speed.
+    this._time = 0;
+    this._maxDt = 0.1;
 
-    // events
-    this._onResize = this._onResize.bind(this);
-    window.addEventListener("resize", this._onResize);
+    // Orbit phase advances by dt * SPEED, so changing SPEED does not jump
+    this._phase = 0;
 
-    this._init().catch((error) => {
-      console.error("WebGLMetaBallsCursor initialization failed:", error);
-    });
-  }
+    // Blobs spawned by burst(): {x, y, age, life, radius} in animation space
+    this._spawned = [];
 
-  // === public API (pause/play are no-ops here, kept for symmetry) =========
-  pause() {
-    /* optional to implement */
-  }
-  play() {
-    /* optional to implement */
+    // Pointer blobs that shrink away after their pointer was removed:
+    // {id, x, y, color, age, life} with x/y in client pixels
+    this._fading = [];
+
+    // Boot (errors are logged by init())
+    this.init().catch(() => {});
   }
 
+  // === public API ===========================================================
+  // pause(), play(), resize(), setVolume(), setConfig() and destroy() come
+  // from CursorEffect.
+
   /**
-   * Set the volume for metaball collisions
-   *
-   * @param {number} volume - Volume level (0.0 to 1.0)
+   * Spawn a blob at client pixel coordinates (gaze dwell action)
    *
-   * @example
-   * metaballs.setVolume(0.5);
+   * The blob swells, merges with anything nearby and melts away after a few
+   * seconds. Spawned blobs share the shader's 50 metaball slots with the
+   * animated balls; when they are full the oldest blob is replaced.
    *
+   * @param {number} x - X coordinate in client pixels
+   * @param {number} y - Y coordinate in client pixels
+   * @param {string} [pointerId="default"] - Pointer that triggered the spawn
    * @public
    */
-  setVolume(volume) {
-    if (this.soundEngine) {
-      this.soundEngine.setVolume(volume);
-    }
+  burst(x, y, pointerId = "default") {
+    if (!this.ready) return;
+
+    const free = 50 - this.ballParams.length;
+    if (free <= 0) return;
+    if (this._spawned.length >= free) this._spawned.shift();
+
+    // Client pixels → the shader's animation space
+    const scale = this.config.ANIMATION_SIZE / this.gl.canvas.height;
+    const xPix = this._scaleByPixelRatio(x);
+    const yPix = this.gl.canvas.height - this._scaleByPixelRatio(y);
+    this._spawned.push({
+      x: (xPix - this.gl.drawingBufferWidth * 0.5) * scale,
+      y: (yPix - this.gl.drawingBufferHeight * 0.5) * scale,
+      age: 0,
+      life: 3.0,
+      radius: this.config.CURSOR_BALL_SIZE * 1.2,
+    });
+
+    this.soundEngine?.playCollision(0.8);
   }
 
-  destroy() {
-    if (this.animationId) cancelAnimationFrame(this.animationId);
-    window.removeEventListener("resize", this._onResize);
-    if (this._autoMouse && this._onMouseMove)
-      window.removeEventListener("mousemove", this._onMouseMove);
+  /**
+   * Let a removed pointer's blob shrink away instead of popping out
+   * @protected
+   */
+  _onPointerRemove({ id, x, y, color, reason }) {
+    this.pointerMap?.delete(this._pointerKey(id));
+    this._fading = this._fading.filter((b) => b.id !== id);
+    // Timed-out pointers have already faded out (see InputManager.getFade())
+    if (reason === "timeout") return;
+    this._fading.push({ id, x, y, color: this._pointerColor({ id, color }), age: 0, life: 0.4 });
+  }
 
-    // Clean up sound engine
-    if (this.soundEngine) {
-      this.soundEngine.destroy();
-      this.soundEngine = null;
-    }
+  /**
+   * Colour of a pointer blob: the pointer's own colour if present, else the
+   * user's identity colour, else the default cursor colour
+   * @private
+   */
+  _pointerColor(p) {
+    return Array.isArray(p.color)
+      ? p.color
+      : this._getIdentityColor(p.id) || this.config.CURSOR_COLOR;
+  }
 
+  _dispose() {
     try {
       this.gl?.getExtension("WEBGL_lose_context")?.loseContext();
     } catch {}
-    this.canvas?.parentElement?.removeChild(this.canvas);
-    this.ready = false;
   }
 
   // === input plumbing expected by InputManager's "fluid" branch =============
@@ -290,7 +308,7 @@ class WebGLMetaBallsCursor {
   // === setup ================================================================
   async _init() {
     this.ogl = await import(oglCdn);
-    const { Renderer, Camera, Triangle, Program, Mesh, Transform, Vec3 } =
+    const { Renderer, Camera, Triangle, Program, Mesh, Transform, Vec3, Texture } =
       this.ogl;
 
     this.renderer = new Renderer({
@@ -345,18 +363,27 @@ class WebGLMetaBallsCursor {
     });
 
     // after this.program = new Program(...):
-    this.MAX_POINTERS = 16;
+    // Pointer slots grow with the number of pointers (see _ensurePointerSlots)
     this.pointerPosRad = [];
     this.pointerColors = [];
-    for (let i = 0; i < this.MAX_POINTERS; i++) {
-      this.pointerPosRad.push(new this.ogl.Vec3(0, 0, 0));
-      this.pointerColors.push(new this.ogl.Vec3(1, 1, 1));
-    }
+    this._pointerCapacity = 16;
+    this._pointerTexture = new Texture(this.gl, {
+      image: new Float32Array(4 * 2 * this._pointerCapacity),
+      width: this._pointerCapacity,
+      height: 2,
+      type: this.gl.FLOAT,
+      format: this.gl.RGBA,
+      internalFormat: this.gl.RGBA32F,
+      minFilter: this.gl.NEAREST,
+      magFilter: this.gl.NEAREST,
+      generateMipmaps: false,
+      flipY: false,
+      unpackAlignment: 1,
+    });
 
     Object.assign(this.program.uniforms, {
       iPointerCount: { value: 0 },
-      iPointerPosRad: { value: this.pointerPosRad },
-      iPointerColors: { value: this.pointerColors },
+      iPointerData: { value: this._pointerTexture },
     });
 
     this.mesh = new Mesh(this.gl, { geometry, program: this.program });
@@ -364,7 +391,28 @@ class WebGLMetaBallsCursor {
     this.mesh.setParent(this.scene);
 
     // seed metaball params
+    this._seedBallParams();
+
+    // animation state
+    this._mouseX = this.gl.canvas.width * 0.5;
+    this._mouseY = this.gl.canvas.height * 0.5;
+    this._targetMouseX = this._mouseX;
+    this._targetMouseY = this._mouseY;
+
+    // sizing + the frame loop are started by CursorEffect.init()
+  }
+
+  /**
+   * Seed the per-ball orbit parameters for BALL_COUNT balls (max 50)
+   *
+   * Parameters are hashed from the ball index, so balls that survive a
+   * BALL_COUNT change keep their orbit.
+   *
+   * @private
+   */
+  _seedBallParams() {
     const n = Math.min(this.config.BALL_COUNT, 50);
+    this.ballParams = [];
     for (let i = 0; i < n; i++) {
       const idx = i + 1;
       const h1 = hash31(idx);
@@ -376,22 +424,53 @@ class WebGLMetaBallsCursor {
       const radius = 0.5 + h2[2] * (2.0 - 0.5);
       this.ballParams.push({ st, dtFactor, baseScale, toggle, radius });
     }
+    if (this.program) this.program.uniforms.iBallCount.value = n;
+  }
 
-    this._onResize(); // set size + iResolution
-
-    // animation state
-    this._mouseX = this.gl.canvas.width * 0.5;
-    this._mouseY = this.gl.canvas.height * 0.5;
-    this._targetMouseX = this._mouseX;
-    this._targetMouseY = this._mouseY;
-
-    this._startT = performance.now();
-    this.ready = true;
-    this._loop();
+  /**
+   * Apply runtime config changes (called by CursorEffect.setConfig)
+   *
+   * SPEED, HOVER_SMOOTHNESS and CURSOR_INTERACTION are read every frame; the
+   * rest are pushed into the shader uniforms.
+   *
+   * @param {string[]} changed - Config keys whose values changed
+   * @protected
+   */
+  _applyConfig(changed) {
+    const u = this.program.uniforms;
+    for (const key of changed) {
+      switch (key) {
+        case "BALL_COUNT":
+          this._seedBallParams();
+          this.collisionStates.clear();
+          break;
+        case "ANIMATION_SIZE":
+          u.iAnimationSize.value = this.config.ANIMATION_SIZE;
+          break;
+        case "CURSOR_BALL_SIZE":
+          u.iCursorBallSize.value = this.config.CURSOR_BALL_SIZE;
+          break;
+        case "CLUMP_FACTOR":
+          u.iClumpFactor.value = this.config.CLUMP_FACTOR;
+          break;
+        case "COLOR":
+          u.iColor.value.set(...this.config.COLOR);
+          break;
+        case "CURSOR_COLOR":
+          u.iCursorColor.value.set(...this.config.CURSOR_COLOR);
+          break;
+        case "ENABLE_TRANSPARENCY":
+          u.enableTransparency.value = !!this.config.ENABLE_TRANSPARENCY;
+          this.gl.clearColor(0, 0, 0, this.config.ENABLE_TRANSPARENCY ? 0 : 1);
+          break;
+        case "collisionSoundUrl":
+          this.soundEngine?.loadCollisionSound(this.config.collisionSoundUrl);
+          break;
+      }
+    }
   }
 
-  _onResize() {
-    this._updateCanvasPosition();
+  _resize() {
     const w = Math.floor(window.innerWidth * (window.devicePixelRatio || 1));
     const h = Math.floor(window.innerHeight * (window.devicePixelRatio || 1));
     this.renderer.setSize(w, h);
@@ -404,15 +483,6 @@ class WebGLMetaBallsCursor {
     );
   }
 
-  _updateCanvasPosition() {
-    // Canvas fills the entire viewport (iframe or window)
-    // Coordinates from parent are already iframe-relative via _toIframeCoords()
-    this.canvas.style.top = "0";
-    this.canvas.style.left = "0";
-    this.canvas.style.width = "100vw";
-    this.canvas.style.height = "100vh";
-  }
-
   _checkCollisions() {
     if (!this.soundEngine) return;
 
@@ -423,9 +493,8 @@ class WebGLMetaBallsCursor {
     };
 
     // Check each active pointer against each animated ball
-    for (let p = 0; p < this.MAX_POINTERS; p++) {
-      if (p >= this.program.uniforms.iPointerCount.value) break;
-
+    const count = this.program.uniforms.iPointerCount.value;
+    for (let p = 0; p < count; p++) {
       const ptrX = (this.pointerPosRad[p].x - res.x * 0.5) * scale;
       const ptrY = (this.pointerPosRad[p].y - res.y * 0.5) * scale;
       const ptrRad = this.pointerPosRad[p].z;
@@ -456,19 +525,19 @@ class WebGLMetaBallsCursor {
     }
   }
 
-  _loop() {
-    this.animationId = requestAnimationFrame(() => this._loop());
-    if (!this.ready) return;
-
-    const t = (performance.now() - this._startT) * 0.001;
+  // Called by CursorEffect's loop; skipped while paused so simulation time freezes
+  _update(dt) {
+    this._time += dt;
+    const t = this._time;
     this.program.uniforms.iTime.value = t;
+    this._phase += dt * this.config.SPEED;
+    const phase = this._phase;
 
     // animate balls
-    const s = this.config.SPEED,
-      cf = this.config.CLUMP_FACTOR;
+    const cf = this.config.CLUMP_FACTOR;
     for (let i = 0; i < this.ballParams.length; i++) {
       const p = this.ballParams[i];
-      const dt = t * s * p.dtFactor;
+      const dt = phase * p.dtFactor;
       const th = p.st + dt;
       const x = Math.cos(th);
       const y = Math.sin(th + dt * p.toggle);
@@ -477,6 +546,19 @@ class WebGLMetaBallsCursor {
       this.metaBalls[i].set(posX, posY, p.radius);
     }
 
+    // spawned blobs: swell quickly, then melt away while drifting upwards
+    const n = this.ballParams.length;
+    this._spawned = this._spawned.filter((b) => (b.age += dt) < b.life);
+    // BALL_COUNT may have grown since the blobs were spawned
+    if (this._spawned.length > 50 - n) this._spawned.splice(0, this._spawned.length - (50 - n));
+    for (let i = 0; i < this._spawned.length; i++) {
+      const b = this._spawned[i];
+      const k = b.age / b.life;
+      const r = b.radius * Math.sqrt(Math.sin(Math.PI * Math.min(k * 1.5, 1) * 0.5) * (1 - k));
+      this.metaBalls[n + i].set(b.x, b.y + b.age * 0.5, r);
+    }
+    this.program.uniforms.iBallCount.value = n + this._spawned.length;
+
     // smooth pointer
     const ease = this.config.HOVER_SMOOTHNESS;
     const inside = this.config.CURSOR_INTERACTION; // always true via InputManager updates
@@ -489,8 +571,8 @@ class WebGLMetaBallsCursor {
       const cy = this.gl.canvas.height * 0.5;
       const rx = this.gl.canvas.width * 0.15;
       const ry = this.gl.canvas.height * 0.15;
-      targetX = cx + Math.cos(t * s) * rx;
-      targetY = cy + Math.sin(t * s) * ry;
+      targetX = cx + Math.cos(phase) * rx;
+      targetY = cy + Math.sin(phase) * ry;
     }
 
     this._mouseX += (targetX - this._mouseX) * ease;
@@ -500,28 +582,42 @@ class WebGLMetaBallsCursor {
     // update pointer data
     // Gather active pointers (mouse + others)
     const active = this.inputManager.getActivePointers(); // [{id,x,y,color,...}, ...]
+    this._fading = this._fading.filter((b) => (b.age += dt) < b.life);
+    this._ensurePointerSlots(active.length + this._fading.length);
     let count = 0;
 
-    for (let i = 0; i < active.length && count < this.MAX_POINTERS; i++) {
+    for (let i = 0; i < active.length; i++) {
       const p = active[i];
 
       // Convert to canvas pixels & invert Y for WebGL-style coords
       const xPix = this._scaleByPixelRatio(p.x);
       const yPix = this.gl.canvas.height - this._scaleByPixelRatio(p.y);
 
-      // radius per-pointer (could vary by pointer later)
-      const rad = this.config.CURSOR_BALL_SIZE;
+      // radius per-pointer; shrinks while an inactive pointer fades out
+      const rad = this.config.CURSOR_BALL_SIZE * (p.fade ?? 1);
 
       this.pointerPosRad[count].set(xPix, yPix, rad);
 
-      // use pointer color if present, else default cursor color
-      const col = Array.isArray(p.color) ? p.color : this.config.CURSOR_COLOR;
+      const col = this._pointerColor(p);
       this.pointerColors[count].set(col[0], col[1], col[2]);
 
       count++;
     }
 
-    this.program.uniforms.iPointerCount.value = count;
+    // removed pointers shrink away in the remaining slots
+    for (let i = 0; i < this._fading.length; i++) {
+      const b = this._fading[i];
+      const k = 1 - b.age / b.life;
+      this.pointerPosRad[count].set(
+        this._scaleByPixelRatio(b.x),
+        this.gl.canvas.height - this._scaleByPixelRatio(b.y),
+        this.config.CURSOR_BALL_SIZE * k * k,
+      );
+      this.pointerColors[count].set(b.color[0], b.color[1], b.color[2]);
+      count++;
+    }
+
+    this._uploadPointers(count);
 
     // (Optional) still set iMouse to the "primary" pointer for any other logic
     const primary = this.inputManager.getTargetPointer(); // mouse preferred
@@ -533,11 +629,66 @@ class WebGLMetaBallsCursor {
 
     // Check for collisions between pointer metaballs and animated metaballs
     this._checkCollisions();
+  }
+
+  /**
+   * Make room for n pointers, doubling the pointer texture when it is full
+   * @private
+   */
+  _ensurePointerSlots(n) {
+    while (this.pointerPosRad.length < n) {
+      this.pointerPosRad.push(new this.ogl.Vec3(0, 0, 0));
+      this.pointerColors.push(new this.ogl.Vec3(1, 1, 1));
+    }
+    if (n <= this._pointerCapacity) return;
+    while (this._pointerCapacity < n) this._pointerCapacity *= 2;
+    this._pointerTexture.width = this._pointerCapacity;
+    this._pointerTexture.image = new Float32Array(4 * 2 * this._pointerCapacity);
+  }
+
+  /**
+   * Pack the first count pointer slots into the pointer texture
+   * @private
+   */
+  _uploadPointers(count) {
+    const data = this._pointerTexture.image;
+    const row = 4 * this._pointerCapacity;
+    for (let i = 0; i < count; i++) {
+      const pr = this.pointerPosRad[i];
+      const col = this.pointerColors[i];
+      data[4 * i] = pr.x;
+      data[4 * i + 1] = pr.y;
+      data[4 * i + 2] = pr.z;
+      data[row + 4 * i] = col.x;
+      data[row + 4 * i + 1] = col.y;
+      data[row + 4 * i + 2] = col.z;
+    }
+    this._pointerTexture.needsUpdate = true;
+    this.program.uniforms.iPointerCount.value = count;
+  }
 
+  _render() {
     this.renderer.render({ scene: this.scene, camera: this.camera });
   }
 }
 
+/**
+ * Config keys that can be tuned for the whole session (see effect-settings.js)
+ * @type {Object}
+ * @static
+ */
+WebGLMetaBallsCursor.SETTINGS_SCHEMA = {
+  BALL_COUNT: { type: "integer", min: 1, max: 50, step: 1, default: 15, label: "Ball Count" },
+  SPEED: { type: "number", min: 0, max: 3, step: 0.1, default: 0.3, label: "Speed", panel: true },
+  CLUMP_FACTOR: { type: "number", min: 0.1, max: 3, step: 0.1, default: 1.0, label: "Clump", panel: true },
+  ANIMATION_SIZE: { type: "number", min: 10, max: 100, step: 5, default: 30, label: "Size" },
+  CURSOR_BALL_SIZE: { type: "number", min: 0.5, max: 10, step: 0.5, default: 3, label: "Cursor Size" },
+  HOVER_SMOOTHNESS: { type: "number", min: 0.01, max: 1, step: 0.01, default: 0.05, label: "Smoothness" },
+  COLOR: { type: "color", default: [1, 1, 1], label: "Colour" },
+  CURSOR_COLOR: { type: "color", default: [1, 1, 1], label: "Cursor Colour" },
+  ENABLE_TRANSPARENCY: { type: "boolean", default: true, label: "Transparency" },
+};
+
 // Exports consistent with your other cursor modules
 export default WebGLMetaBallsCursor;
 export { WebGLMetaBallsCursor };
@@ -0,0 +1,255 @@
+/**
+ * Participant Identity - Stable colours and names for session users
+ *
+ * Pointer ids such as "host-eyes" or "participant-mouse" belong to a Squidly
+ * user (the part before the first "-"). Each user gets a colour from a shared
+ * palette so their ball, blob or dye looks the same on every screen, and a
+ * name for the optional floating pointer labels.
+ *
+ * Firebase layout:
+ *
+ *   identity/palette          - Array of hex colours (seeded by the host)
+ *   identity/users/<user>     - {color: <palette index>, name: <string>}
+ *   identity/showLabels       - Whether name labels follow the pointers
+ *
+ * Every client claims a palette entry for its own user. If two users end up
+ * with the same entry, the one that is not the host (or sorts later) moves
+ * to the next free one. Users without an entry fall back to a colour picked
+ * from a hash of their name, which is also the same on every client.
+ *
+ * Events (see EventEmitter):
+ * - "change"  ()  - Palette, user entries or label visibility changed
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class ParticipantIdentity
+ * @extends EventEmitter
+ */
+
+import EventEmitter from "./event-emitter.js";
+
+/**
+ * Default participant palette, chosen to stay distinct on dark backgrounds
+ * @constant {number[]}
+ */
+const PARTICIPANT_PALETTE = [
+  0xff6b6b, // coral
+  0x4ecdc4, // teal
+  0xffd93d, // yellow
+  0x6c5ce7, // violet
+  0x51cf66, // green
+  0xff9f43, // orange
+  0x74b9ff, // sky
+  0xf78fb3, // pink
+];
+
+/**
+ * Pointer ids that always belong to this client's own user (as do ids
+ * starting with "local-", such as "local-touch-3")
+ * @constant {string[]}
+ */
+const LOCAL_POINTER_IDS = ["mouse", "local-mouse", "default"];
+
+class ParticipantIdentity extends EventEmitter {
+  /**
+   * Create a new ParticipantIdentity model
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.role="host"] - session_info.user of this client
+   * @param {number[]} [options.palette=PARTICIPANT_PALETTE] - Palette seeded when Firebase has none
+   */
+  constructor({ role = "host", palette = PARTICIPANT_PALETTE } = {}) {
+    super();
+
+    /** @type {string} User of this client ("host" or "participant") */
+    this.role = role;
+
+    /** @type {number[]} Shared palette as hex colours */
+    this.palette = palette.slice();
+
+    /** @type {Object<string, {color: number, name: string}>} Entries per user */
+    this.users = {};
+
+    /** @type {boolean} Whether name labels follow the pointers */
+    this.showLabels = false;
+
+    /** @type {number[]} Palette seeded when Firebase has none */
+    this._defaultPalette = palette.slice();
+  }
+
+  // === Setup ===============================================================
+
+  /**
+   * Start listening to the shared palette, user entries and label setting
+   * @public
+   */
+  watch() {
+    SquidlyAPI.firebaseOnValue("identity/palette", (value) => {
+      const palette = Array.isArray(value)
+        ? value.filter((c) => Number.isInteger(c) && c >= 0 && c <= 0xffffff)
+        : [];
+      if (palette.length) {
+        this.palette = palette;
+      } else {
+        this.palette = this._defaultPalette.slice();
+        if (this.role === "host") {
+          SquidlyAPI.firebaseSet("identity/palette", this.palette);
+        }
+      }
+      this.emit("change");
+    });
+
+    SquidlyAPI.firebaseOnValue("identity/users", (value) => {
+      this.users = value && typeof value === "object" ? value : {};
+      this._claimColor();
+      this.emit("change");
+    });
+
+    SquidlyAPI.firebaseOnValue("identity/showLabels", (value) => {
+      this.showLabels = value === true;
+      this.emit("change");
+    });
+  }
+
+  // === Queries =============================================================
+
+  /**
+   * User a pointer id belongs to
+   *
+   * @param {string} pointerId - e.g. "host-eyes", "participant-mouse", "mouse"
+   * @returns {string} User key, e.g. "host"
+   * @public
+   */
+  getUser(pointerId) {
+    const id = String(pointerId);
+    if (LOCAL_POINTER_IDS.includes(id) || id.startsWith("local-")) return this.role;
+    return id.split("-")[0];
+  }
+
+  /**
+   * Colour of a pointer's user
+   *
+   * @param {string} pointerId - Pointer id
+   * @returns {number} Hex colour
+   * @public
+   */
+  getColor(pointerId) {
+    const user = this.getUser(pointerId);
+    const entry = this.users[user];
+    const index =
+      entry && Number.isInteger(entry.color) ? entry.color : this._hash(user);
+    return this.palette[index % this.palette.length];
+  }
+
+  /**
+   * Colour of a pointer's user as RGB
+   *
+   * @param {string} pointerId - Pointer id
+   * @returns {number[]} [r, g, b] in 0-1
+   * @public
+   */
+  getColorRGB(pointerId) {
+    const hex = this.getColor(pointerId);
+    return [((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255];
+  }
+
+  /**
+   * Colour of a pointer's user as a CSS colour
+   *
+   * @param {string} pointerId - Pointer id
+   * @returns {string} e.g. "#ff6b6b"
+   * @public
+   */
+  getColorCSS(pointerId) {
+    return `#${this.getColor(pointerId).toString(16).padStart(6, "0")}`;
+  }
+
+  /**
+   * Display name of a pointer's user
+   *
+   * @param {string} pointerId - Pointer id
+   * @returns {string} The stored name, or the capitalised user key
+   * @public
+   */
+  getName(pointerId) {
+    const user = this.getUser(pointerId);
+    const entry = this.users[user];
+    if (entry && typeof entry.name === "string" && entry.name) return entry.name;
+    return user.charAt(0).toUpperCase() + user.slice(1);
+  }
+
+  // === Actions =============================================================
+
+  /**
+   * Set this client's display name for the session
+   *
+   * @param {string} name - Name shown on the pointer labels
+   * @public
+   */
+  setName(name) {
+    SquidlyAPI.firebaseSet(`identity/users/${this.role}/name`, String(name));
+  }
+
+  /**
+   * Show or hide the floating name labels for everyone
+   *
+   * @param {boolean} show - Whether labels follow the pointers
+   * @public
+   */
+  setShowLabels(show) {
+    SquidlyAPI.firebaseSet("identity/showLabels", !!show);
+  }
+
+  // === Internals ===========================================================
+
+  /**
+   * Make sure this client's user owns a palette entry no one else has
+   * @private
+   */
+  _claimColor() {
+    const own = this.users[this.role];
+    const taken = new Map();
+    Object.keys(this.users).forEach((user) => {
+      const entry = this.users[user];
+      if (user !== this.role && entry && Number.isInteger(entry.color)) {
+        taken.set(entry.color, user);
+      }
+    });
+
+    let free = 0;
+    while (taken.has(free)) free++;
+    // More users than palette entries: colours have to be shared
+    const hasFree = free < this.palette.length;
+
+    if (own && Number.isInteger(own.color)) {
+      const other = taken.get(own.color);
+      // On a clash the host keeps the colour, otherwise the earlier user does
+      const mustMove =
+        hasFree &&
+        other !== undefined &&
+        (other === "host" || (this.role !== "host" && other < this.role));
+      if (!mustMove) return;
+    }
+
+    const index = hasFree ? free : taken.size % this.palette.length;
+    SquidlyAPI.firebaseSet(`identity/users/${this.role}/color`, index);
+  }
+
+  /**
+   * Stable palette index for a user without an entry
+   * @private
+   */
+  _hash(user) {
+    let h = 0;
+    for (let i = 0; i < user.length; i++) h = (h * 31 + user.charCodeAt(i)) | 0;
+    return Math.abs(h);
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.ParticipantIdentity = ParticipantIdentity;
+}
+
+// ES6 module export
+export default ParticipantIdentity;
+export { ParticipantIdentity, PARTICIPANT_PALETTE };
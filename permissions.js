@@ -0,0 +1,275 @@
+/**
+ * Permissions - Role-based control of shared app actions
+ *
+ * In therapy sessions the host often needs to lock the controls. Each shared
+ * action ("effect", "mute", "pause", "settings") has a mode stored in Firebase
+ * under permissions/modes/<control>:
+ *
+ * - "everyone": any participant may use the control (default)
+ * - "host":     host only; participants see the icon in a disabled state
+ * - "ask":      a participant's action is sent to the host as a request
+ *               (permissions/request) and only applied once the host approves
+ *
+ * The role comes from session_info.user ("host" or "participant"). The host
+ * is never restricted. Icon callbacks go through perform(), which applies,
+ * forwards or blocks the action depending on the mode.
+ *
+ * Events (see EventEmitter):
+ * - "change"  ()         - Modes or the pending request changed
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class Permissions
+ * @extends EventEmitter
+ */
+
+import EventEmitter from "./event-emitter.js";
+
+/**
+ * Available permission modes, in the order the host's icons cycle through
+ * @constant {string[]}
+ */
+const PERMISSION_MODES = ["everyone", "host", "ask"];
+
+/**
+ * Human readable mode names for icon labels
+ * @constant {Object<string, string>}
+ */
+const MODE_LABELS = {
+  everyone: "Everyone",
+  host: "Host Only",
+  ask: "Ask Host",
+};
+
+class Permissions extends EventEmitter {
+  /**
+   * Create a new Permissions model
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.role="host"] - session_info.user of this client
+   */
+  constructor({ role = "host" } = {}) {
+    super();
+
+    /** @type {string} Role of this client ("host" or "participant") */
+    this.role = role;
+
+    /** @type {Object<string, string>} Mode per control, as stored in Firebase */
+    this.modes = {};
+
+    /** @type {Object|null} Pending "ask host" request {control, value, label, user, time} */
+    this.request = null;
+
+    /** @type {Map<string, {label: string, apply: Function}>} Registered controls */
+    this._controls = new Map();
+  }
+
+  // === Setup ===============================================================
+
+  /**
+   * Register an action that can be permission-controlled
+   *
+   * @param {string} control - Control id (e.g. "effect")
+   * @param {string} label - Name shown to the host (e.g. "Change Effect")
+   * @param {function(*): void} apply - Performs the action with a value
+   * @returns {Permissions} this, for chaining
+   * @public
+   */
+  defineControl(control, label, apply) {
+    this._controls.set(control, { label, apply });
+    return this;
+  }
+
+  /**
+   * Start listening to the permission modes and requests in Firebase
+   * @public
+   */
+  watch() {
+    SquidlyAPI.firebaseOnValue("permissions/modes", (value) => {
+      this.modes = value && typeof value === "object" ? value : {};
+      this.emit("change");
+    });
+
+    SquidlyAPI.firebaseOnValue("permissions/request", (value) => {
+      this.request =
+        value && typeof value === "object" && this._controls.has(value.control)
+          ? value
+          : null;
+      this.emit("change");
+    });
+  }
+
+  // === Queries =============================================================
+
+  /**
+   * Whether this client is the session host
+   * @returns {boolean}
+   * @public
+   */
+  isHost() {
+    return this.role === "host";
+  }
+
+  /**
+   * Current mode of a control (unknown or invalid values read as "everyone")
+   *
+   * @param {string} control - Control id
+   * @returns {string} "everyone", "host" or "ask"
+   * @public
+   */
+  getMode(control) {
+    const mode = this.modes[control];
+    return PERMISSION_MODES.includes(mode) ? mode : "everyone";
+  }
+
+  /**
+   * Whether this client is blocked from using a control
+   *
+   * @param {string} control - Control id
+   * @returns {boolean} True for participants when the mode is "host"
+   * @public
+   */
+  isLocked(control) {
+    return !this.isHost() && this.getMode(control) === "host";
+  }
+
+  /**
+   * Decorate grid icon options to show the control's permission state
+   *
+   * Locked icons get `disabled: true` and a "(Locked)" label; "ask host"
+   * icons get an "(Ask Host)" label for participants.
+   *
+   * @param {string} control - Control id
+   * @param {Object} options - setIcon options
+   * @returns {Object} New options object
+   * @public
+   */
+  iconOptions(control, options) {
+    if (this.isHost()) return options;
+
+    const mode = this.getMode(control);
+    if (mode === "host") {
+      return Object.assign({}, options, {
+        displayValue: `${options.displayValue} (Locked)`,
+        disabled: true,
+      });
+    }
+    if (mode === "ask") {
+      return Object.assign({}, options, {
+        displayValue: `${options.displayValue} (Ask Host)`,
+      });
+    }
+    return options;
+  }
+
+  // === Actions =============================================================
+
+  /**
+   * Run a control's action if this client may, or ask the host
+   *
+   * @param {string} control - Control id
+   * @param {*} value - Value passed to the control's apply function
+   * @param {string} [description] - What is requested, shown to the host
+   * @returns {string} "applied", "requested" or "blocked"
+   * @public
+   */
+  perform(control, value, description) {
+    const entry = this._controls.get(control);
+    if (!entry) {
+      console.warn(`[Permissions] Unknown control "${control}"`);
+      return "blocked";
+    }
+
+    const mode = this.isHost() ? "everyone" : this.getMode(control);
+    if (mode === "everyone") {
+      entry.apply(value);
+      return "applied";
+    }
+    if (mode === "ask") {
+      SquidlyAPI.firebaseSet("permissions/request", {
+        control,
+        value: value === undefined ? null : value,
+        label: description || entry.label,
+        user: this.role,
+        time: Date.now(),
+      });
+      return "requested";
+    }
+
+    console.warn(`[Permissions] "${control}" is locked by the host`);
+    return "blocked";
+  }
+
+  /**
+   * Set the mode of a control for the session (host only)
+   *
+   * @param {string} control - Control id
+   * @param {string} mode - "everyone", "host" or "ask"
+   * @public
+   */
+  setMode(control, mode) {
+    if (!this.isHost() || !PERMISSION_MODES.includes(mode)) return;
+    SquidlyAPI.firebaseSet(`permissions/modes/${control}`, mode);
+  }
+
+  /**
+   * Move a control to the next mode (everyone → host only → ask host)
+   *
+   * @param {string} control - Control id
+   * @public
+   */
+  cycleMode(control) {
+    const index = PERMISSION_MODES.indexOf(this.getMode(control));
+    this.setMode(control, PERMISSION_MODES[(index + 1) % PERMISSION_MODES.length]);
+  }
+
+  /**
+   * Apply the pending request and clear it (host only)
+   * @public
+   */
+  approve() {
+    if (!this.isHost() || !this.request) return;
+
+    const { control, value } = this.request;
+    SquidlyAPI.firebaseSet("permissions/request", null);
+    this._controls.get(control).apply(value);
+  }
+
+  /**
+   * Discard the pending request (host only)
+   * @public
+   */
+  deny() {
+    if (!this.isHost() || !this.request) return;
+    SquidlyAPI.firebaseSet("permissions/request", null);
+  }
+
+  /**
+   * Label of a control, for icons
+   *
+   * @param {string} control - Control id
+   * @returns {string}
+   * @public
+   */
+  getLabel(control) {
+    const entry = this._controls.get(control);
+    return entry ? entry.label : control;
+  }
+
+  /**
+   * Registered control ids, in registration order
+   * @returns {string[]}
+   * @public
+   */
+  getControls() {
+    return Array.from(this._controls.keys());
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.Permissions = Permissions;
+}
+
+// ES6 module export
+export default Permissions;
+export { Permissions, PERMISSION_MODES, MODE_LABELS };
@@ -0,0 +1,109 @@
+/**
+ * Pointer Labels - Floating name tags that follow each pointer
+ *
+ * A small pill with the user's name, tinted with their identity colour, is
+ * kept just below and to the right of each pointer. CursorEffect updates the
+ * labels once per frame from its input manager while labels are switched on
+ * (see ParticipantIdentity.showLabels).
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class PointerLabels
+ */
+
+class PointerLabels {
+  /**
+   * Create a new PointerLabels overlay
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.offsetX=14] - Horizontal offset from the pointer in CSS pixels
+   * @param {number} [options.offsetY=14] - Vertical offset from the pointer in CSS pixels
+   * @param {string} [options.zIndex="10000"] - CSS z-index (above the effect canvases)
+   */
+  constructor({ offsetX = 14, offsetY = 14, zIndex = "10000" } = {}) {
+    this.offsetX = offsetX;
+    this.offsetY = offsetY;
+    this.zIndex = zIndex;
+
+    /** @type {Map<string, HTMLElement>} Label per pointer id */
+    this._labels = new Map();
+  }
+
+  /**
+   * Show every given pointer's label and remove labels of missing pointers
+   *
+   * @param {Array<{id: string, x: number, y: number, name: string, color: string, opacity: number}>} entries
+   *   Pointers in client pixels with their label text, CSS colour and
+   *   optional opacity (fading out inactive pointers)
+   * @public
+   */
+  update(entries) {
+    const seen = new Set();
+    entries.forEach(({ id, x, y, name, color, opacity = 1 }) => {
+      seen.add(id);
+      const el = this._getOrCreateLabel(id);
+      if (el.textContent !== name) el.textContent = name;
+      el.style.background = color;
+      el.style.opacity = String(opacity);
+      el.style.transform = `translate(${x + this.offsetX}px, ${y + this.offsetY}px)`;
+    });
+
+    for (const id of Array.from(this._labels.keys())) {
+      if (!seen.has(id)) this.hide(id);
+    }
+  }
+
+  /**
+   * Remove the label of a pointer
+   *
+   * @param {string} id - Pointer id
+   * @public
+   */
+  hide(id) {
+    const el = this._labels.get(id);
+    if (!el) return;
+    el.remove();
+    this._labels.delete(id);
+  }
+
+  /**
+   * Remove every label
+   * @public
+   */
+  destroy() {
+    this._labels.forEach((el) => el.remove());
+    this._labels.clear();
+  }
+
+  /** @private */
+  _getOrCreateLabel(id) {
+    if (this._labels.has(id)) return this._labels.get(id);
+
+    const el = document.createElement("div");
+    Object.assign(el.style, {
+      position: "fixed",
+      left: "0",
+      top: "0",
+      padding: "2px 8px",
+      borderRadius: "10px",
+      font: "600 12px/1.4 system-ui, sans-serif",
+      color: "#111",
+      whiteSpace: "nowrap",
+      pointerEvents: "none",
+      zIndex: this.zIndex,
+      boxShadow: "0 1px 4px rgba(0, 0, 0, 0.35)",
+    });
+    document.body.appendChild(el);
+
+    this._labels.set(id, el);
+    return el;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.PointerLabels = PointerLabels;
+}
+
+// ES6 module export
+export default PointerLabels;
+export { PointerLabels };
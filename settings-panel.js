@@ -0,0 +1,243 @@
+/**
+ * Settings Panel - Gaze-friendly effect settings built from Squidly grid icons
+ *
+ * While open, the panel takes over the app's control row in the Squidly grid
+ * and shows one parameter of the active effect at a time:
+ *
+ *   (1,0) Done      - close the panel and restore the normal controls
+ *   (2,0) −         - decrease the parameter by one step
+ *   (3,0) Value     - "<Label>: <value>"; selecting it moves to the next parameter
+ *   (4,0) +         - increase the parameter by one step
+ *
+ * Every control is a single large icon activation, so the panel can be used
+ * entirely by eye gaze (dwell). The parameters come from the entries flagged
+ * `panel: true` in the effect's settings schema (see effect-settings.js);
+ * changes are sent through cursorApp.setEffectSettings(), so they apply to
+ * the whole session.
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class SettingsPanel
+ */
+
+import { stepSetting } from "./effect-settings.js";
+
+class SettingsPanel {
+  /**
+   * Create a new SettingsPanel
+   *
+   * @param {Object} app - The cursorApp controller
+   * @param {Object} [options={}]
+   * @param {Object} [options.slots] - Grid positions {done, decrease, value, increase} as [x, y]
+   * @param {Function|null} [options.onClose=null] - Called after the panel closes,
+   *   to restore the icons it covered
+   * @param {Function|null} [options.onChange=null] - Called with (effectId, values)
+   *   instead of app.setEffectSettings(), e.g. to check permissions first
+   * @param {Function|null} [options.iconOptions=null] - Maps the setIcon options
+   *   of the -/+ icons, e.g. to show a locked state
+   */
+  constructor(app, { slots = {}, onClose = null, onChange = null, iconOptions = null } = {}) {
+    /** @type {Object} The cursorApp controller */
+    this.app = app;
+
+    /** @type {Object<string, number[]>} Grid slot of each control */
+    this.slots = Object.assign(
+      { done: [1, 0], decrease: [2, 0], value: [3, 0], increase: [4, 0] },
+      slots,
+    );
+
+    /** @type {Function|null} Called after the panel closes */
+    this.onClose = onClose;
+
+    /** @type {Function|null} Sends a settings change */
+    this.onChange = onChange;
+
+    /** @type {Function|null} Decorates the -/+ icon options */
+    this.iconOptions = iconOptions;
+
+    /** @type {boolean} Whether the panel currently owns the grid slots */
+    this.isOpen = false;
+
+    /** @type {number} Index into the active effect's panel keys */
+    this._keyIndex = 0;
+
+    /** @type {string|null} Effect the key index refers to */
+    this._effectId = null;
+  }
+
+  // === Public API ==========================================================
+
+  /**
+   * Show the panel for the active effect
+   * @public
+   */
+  open() {
+    this.isOpen = true;
+    this.refresh();
+  }
+
+  /**
+   * Hide the panel and hand the grid slots back through onClose
+   * @public
+   */
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    if (typeof this.onClose === "function") this.onClose();
+  }
+
+  /**
+   * Open the panel if closed, close it if open
+   * @public
+   */
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  /**
+   * Re-render the panel after the active effect or its settings changed
+   *
+   * Does nothing while the panel is closed.
+   *
+   * @public
+   */
+  refresh() {
+    if (!this.isOpen) return;
+
+    // Start from the first parameter whenever the effect changes
+    if (this._effectId !== this.app.currentType) {
+      this._effectId = this.app.currentType;
+      this._keyIndex = 0;
+    }
+    this._render();
+  }
+
+  // === Internals ===========================================================
+
+  /**
+   * Schema keys of the active effect that the panel offers
+   * @returns {string[]}
+   * @private
+   */
+  _getKeys() {
+    const effect = this.app.effects.get(this.app.currentType);
+    if (!effect) return [];
+
+    const schema = effect.settingsSchema;
+    return Object.keys(schema).filter(
+      (key) =>
+        schema[key].panel &&
+        (schema[key].type === "number" || schema[key].type === "integer"),
+    );
+  }
+
+  /**
+   * Key currently shown, or null when the effect has no panel parameters
+   * @returns {string|null}
+   * @private
+   */
+  _currentKey() {
+    const keys = this._getKeys();
+    if (!keys.length) return null;
+    return keys[this._keyIndex % keys.length];
+  }
+
+  /**
+   * Show the next parameter of the active effect
+   * @private
+   */
+  _nextKey() {
+    const count = this._getKeys().length;
+    if (count) this._keyIndex = (this._keyIndex + 1) % count;
+    this._render();
+  }
+
+  /**
+   * Step the current parameter and share the new value
+   * @param {number} direction - +1 or -1
+   * @private
+   */
+  _step(direction) {
+    const id = this.app.currentType;
+    const key = this._currentKey();
+    if (!key) return;
+
+    const spec = this.app.effects.get(id).settingsSchema[key];
+    const current = this.app.getEffectSettings(id)[key];
+    const next = stepSetting(spec, current, direction);
+    if (next === current) return;
+
+    if (typeof this.onChange === "function") {
+      this.onChange(id, { [key]: next });
+    } else {
+      this.app.setEffectSettings(id, { [key]: next });
+    }
+  }
+
+  /**
+   * Format a value with as many decimals as its step
+   * @private
+   */
+  _formatValue(spec, value) {
+    if (spec.type === "integer") return String(value);
+    const decimals = (String(spec.step || 0.1).split(".")[1] || "").length;
+    return value.toFixed(decimals);
+  }
+
+  /**
+   * Draw the four panel icons
+   * @private
+   */
+  _render() {
+    const id = this.app.currentType;
+    const key = this._currentKey();
+    const spec = key ? this.app.effects.get(id).settingsSchema[key] : null;
+    const value = key ? this.app.getEffectSettings(id)[key] : null;
+
+    this._setIcon("done", {
+      symbol: "close",
+      displayValue: "Done",
+      type: "action",
+    }, () => this.close());
+
+    this._setIcon("decrease", this._decorate({
+      symbol: "minus",
+      displayValue: spec ? `Less ${spec.label}` : "Less",
+      type: "action",
+    }), () => this._step(-1));
+
+    this._setIcon("value", {
+      symbol: "settings",
+      displayValue: spec
+        ? `${spec.label}: ${this._formatValue(spec, value)}`
+        : "No Settings",
+      type: "action",
+    }, () => this._nextKey());
+
+    this._setIcon("increase", this._decorate({
+      symbol: "add",
+      displayValue: spec ? `More ${spec.label}` : "More",
+      type: "action",
+    }), () => this._step(1));
+  }
+
+  /** @private */
+  _decorate(options) {
+    return typeof this.iconOptions === "function" ? this.iconOptions(options) : options;
+  }
+
+  /** @private */
+  _setIcon(slot, options, callback) {
+    const [x, y] = this.slots[slot];
+    SquidlyAPI.setIcon(x, y, options, callback);
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.SettingsPanel = SettingsPanel;
+}
+
+// ES6 module export
+export default SettingsPanel;
+export { SettingsPanel };
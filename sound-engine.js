@@ -46,6 +46,9 @@ class FluidSoundEngine {
 
     // Per-pointer voice state
     this.voices = new Map(); // key -> {osc, filt, pan, gain, lastT}
+
+    // True while the owning effect is paused
+    this.suspended = false;
   }
 
   // Create a voice graph for a pointer if needed
@@ -120,6 +123,8 @@ class FluidSoundEngine {
       deltaY, // normalized tex coords (0..1) and frame deltas
     }
   ) {
+    if (this.suspended) return;
+
     const now = performance.now();
     const v = this._getVoice(key, texX, texY);
 
@@ -171,6 +176,8 @@ class FluidSoundEngine {
 
   // Short, punchy layer on click/splat
   impact(key, { texX, texY, velocityMag = 0.5 }) {
+    if (this.suspended) return;
+
     const t = this.ctx.currentTime;
     const hit = this.ctx.createGain();
     hit.gain.value = 0;
@@ -204,6 +211,24 @@ class FluidSoundEngine {
     this.style = style;
   }
 
+  /**
+   * Silence all voices and ignore new motion/impacts until resume()
+   * @public
+   */
+  suspend() {
+    this.suspended = true;
+    if (this.ctx.state === "running") this.ctx.suspend();
+  }
+
+  /**
+   * Resume audio after suspend()
+   * @public
+   */
+  resume() {
+    this.suspended = false;
+    if (this.ctx.state === "suspended") this.ctx.resume();
+  }
+
   _quantizePentatonic(freq) {
     // A minor pentatonic: A C D E G
     const A4 = 440;
@@ -294,6 +319,7 @@ class CollisionSoundEngine {
     this.masterGainNode = null;
     this.audioBuffer = null;
     this.lastSoundTime = 0;
+    this.suspended = false;
 
     this._initAudio();
   }
@@ -354,7 +380,7 @@ class CollisionSoundEngine {
    * @public
    */
   playCollision(intensity = 0.5) {
-    if (!this.soundEnabled || !this.audioContext || !this.masterGainNode)
+    if (!this.soundEnabled || this.suspended || !this.audioContext || !this.masterGainNode)
       return;
 
     const now = performance.now();
@@ -461,6 +487,31 @@ class CollisionSoundEngine {
     this.soundEnabled = false;
   }
 
+  /**
+   * Suspend audio output (e.g. while the owning effect is paused)
+   *
+   * Unlike disableSound() this also stops sounds that are already playing,
+   * and playCollision() will not auto-resume the context until resume().
+   * @public
+   */
+  suspend() {
+    this.suspended = true;
+    if (this.audioContext && this.audioContext.state === "running") {
+      this.audioContext.suspend();
+    }
+  }
+
+  /**
+   * Resume audio output after suspend()
+   * @public
+   */
+  resume() {
+    this.suspended = false;
+    if (this.audioContext && this.audioContext.state === "suspended") {
+      this.audioContext.resume();
+    }
+  }
+
   /**
    * Set the master volume
    * @param {number} volume - Volume level (0.0 to 1.0)
@@ -0,0 +1,165 @@
+/**
+ * Spatial Grid - Uniform-grid broadphase for ball collisions
+ *
+ * Buckets points into square cells on the x/y plane so that a collision
+ * pass only looks at balls in nearby cells instead of every other ball.
+ * The grid is rebuilt from the position buffer every physics step with a
+ * counting sort, so building is O(n) and allocates nothing once the buffers
+ * are large enough.
+ *
+ * The grid spans the bounding box of the inserted points. When points are
+ * spread far apart (e.g. a ball flying high above the screen) the cells grow
+ * so the grid never has more than maxCells per axis; queries stay correct,
+ * they just return more candidates.
+ *
+ * @example
+ * const grid = new SpatialGrid();
+ * grid.build(positions, count, 2 * maxRadius);
+ * grid.query(x, y, radius, (j) => { ... });
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class SpatialGrid
+ */
+
+class SpatialGrid {
+  /**
+   * Create a new SpatialGrid
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.maxCells=128] - Maximum number of cells per axis
+   */
+  constructor({ maxCells = 128 } = {}) {
+    this.maxCells = maxCells;
+
+    /** @type {number} Edge length of a cell */
+    this.cellSize = 1;
+
+    /** @type {number} Number of columns */
+    this.cols = 1;
+
+    /** @type {number} Number of rows */
+    this.rows = 1;
+
+    /** @type {number} Left edge of the grid */
+    this.minX = 0;
+
+    /** @type {number} Bottom edge of the grid */
+    this.minY = 0;
+
+    /** @type {Int32Array} Offset of each cell's items in _items (cells + 1 entries) */
+    this._cellStart = new Int32Array(2);
+
+    /** @type {Int32Array} Cell of each point */
+    this._cellOf = new Int32Array(0);
+
+    /** @type {Int32Array} Point indices sorted by cell */
+    this._items = new Int32Array(0);
+  }
+
+  /**
+   * Bucket the first count points of a position buffer
+   *
+   * @param {Float32Array} positions - Packed positions (x, y, ... per point)
+   * @param {number} count - Number of points to insert (indices 0 … count-1)
+   * @param {number} cellSize - Cell edge; use the largest collision distance
+   * @param {number} [stride=3] - Floats per point in positions
+   * @public
+   */
+  build(positions, count, cellSize, stride = 3) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < count; i++) {
+      const x = positions[stride * i], y = positions[stride * i + 1];
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+    if (count === 0) minX = minY = maxX = maxY = 0;
+
+    const size = Math.max(
+      cellSize,
+      (maxX - minX) / this.maxCells,
+      (maxY - minY) / this.maxCells,
+      1e-6,
+    );
+    this.cellSize = size;
+    this.minX = minX;
+    this.minY = minY;
+    this.cols = Math.min(Math.floor((maxX - minX) / size) + 1, this.maxCells);
+    this.rows = Math.min(Math.floor((maxY - minY) / size) + 1, this.maxCells);
+
+    const cells = this.cols * this.rows;
+    if (this._cellStart.length < cells + 1) this._cellStart = new Int32Array(cells + 1);
+    if (this._items.length < count) {
+      this._cellOf = new Int32Array(count);
+      this._items = new Int32Array(count);
+    }
+
+    // Counting sort: count per cell, prefix sum, then scatter
+    const start = this._cellStart;
+    start.fill(0, 0, cells + 1);
+    for (let i = 0; i < count; i++) {
+      const c = this._cellIndex(positions[stride * i], positions[stride * i + 1]);
+      this._cellOf[i] = c;
+      start[c + 1]++;
+    }
+    for (let c = 0; c < cells; c++) start[c + 1] += start[c];
+    for (let i = 0; i < count; i++) {
+      // start[c] is used as the write cursor and ends one cell further on
+      this._items[start[this._cellOf[i]]++] = i;
+    }
+    for (let c = cells; c > 0; c--) start[c] = start[c - 1];
+    start[0] = 0;
+  }
+
+  /**
+   * Visit every point in the cells overlapping a square around (x, y)
+   *
+   * Candidates are not distance-checked; the caller does the narrow phase.
+   *
+   * @param {number} x - Centre X
+   * @param {number} y - Centre Y
+   * @param {number} radius - Half edge of the square to search
+   * @param {function(number): void} visit - Called with each candidate index
+   * @public
+   */
+  query(x, y, radius, visit) {
+    const size = this.cellSize;
+    const c0 = this._clamp(Math.floor((x - radius - this.minX) / size), this.cols);
+    const c1 = this._clamp(Math.floor((x + radius - this.minX) / size), this.cols);
+    const r0 = this._clamp(Math.floor((y - radius - this.minY) / size), this.rows);
+    const r1 = this._clamp(Math.floor((y + radius - this.minY) / size), this.rows);
+    const start = this._cellStart, items = this._items;
+
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const cell = r * this.cols + c;
+        for (let k = start[cell], end = start[cell + 1]; k < end; k++) {
+          visit(items[k]);
+        }
+      }
+    }
+  }
+
+  /** @private */
+  _cellIndex(x, y) {
+    const c = this._clamp(Math.floor((x - this.minX) / this.cellSize), this.cols);
+    const r = this._clamp(Math.floor((y - this.minY) / this.cellSize), this.rows);
+    return r * this.cols + c;
+  }
+
+  /** @private */
+  _clamp(v, n) {
+    // NaN (a ball that blew up) lands in cell 0 instead of breaking the index
+    return v > 0 ? (v < n ? v : n - 1) : 0;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.SpatialGrid = SpatialGrid;
+}
+
+// ES6 module export
+export default SpatialGrid;
+export { SpatialGrid };
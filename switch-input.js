@@ -0,0 +1,317 @@
+/**
+ * Switch Input - Keyboard and switch-access virtual pointer
+ *
+ * Turns key presses into a virtual pointer for users who rely on arrow keys
+ * or one/two-switch scanning (switch interfaces usually send Space/Enter).
+ * The pointer is reported through onMove like any other user's pointer, and
+ * "select" reports the point through onSelect, which the app maps to the
+ * effect's burst().
+ *
+ * Modes:
+ *
+ * - "step": arrow keys move the pointer by stepSize; Space/Enter selects
+ * - "scan": row-column scanning. A horizontal line sweeps down the screen;
+ *           select stops it, then a marker sweeps along that line; select
+ *           again acts at the marker and scanning starts over.
+ *           With autoScan the sweep runs by itself (one switch: select);
+ *           without it each "next" press (Tab) moves one step (two switches).
+ * - "off":  keys are ignored
+ *
+ * A line and marker overlay shows the scan position.
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class SwitchInput
+ */
+
+/**
+ * Input modes, in the order the app cycles through them
+ * @constant {string[]}
+ */
+const SWITCH_MODES = ["off", "step", "scan"];
+
+/**
+ * Default key bindings (KeyboardEvent.key values)
+ * @constant {Object<string, string[]>}
+ */
+const SWITCH_KEYS = {
+  select: [" ", "Enter"],
+  next: ["Tab"],
+  up: ["ArrowUp"],
+  down: ["ArrowDown"],
+  left: ["ArrowLeft"],
+  right: ["ArrowRight"],
+};
+
+class SwitchInput {
+  /**
+   * Create a new SwitchInput
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.id="switch"] - Pointer id reported to onMove/onSelect
+   * @param {string} [options.mode="step"] - "off", "step" or "scan"
+   * @param {number} [options.stepSize=40] - Pixels per arrow key or "next" press
+   * @param {number} [options.scanSpeed=250] - Auto-scan speed in px/s
+   * @param {boolean} [options.autoScan=true] - Sweep by itself in scan mode
+   * @param {Object<string, string[]>} [options.keys=SWITCH_KEYS] - Key bindings
+   * @param {function(number, number, string): void} [options.onMove] - Pointer moved (x, y, id)
+   * @param {function(number, number, string): void} [options.onSelect] - Select pressed (x, y, id)
+   */
+  constructor({
+    id = "switch",
+    mode = "step",
+    stepSize = 40,
+    scanSpeed = 250,
+    autoScan = true,
+    keys = SWITCH_KEYS,
+    onMove = null,
+    onSelect = null,
+  } = {}) {
+    this.id = id;
+    this.stepSize = stepSize;
+    this.scanSpeed = scanSpeed;
+    this.autoScan = autoScan;
+    this.keys = Object.assign({}, SWITCH_KEYS, keys);
+    this.onMove = onMove;
+    this.onSelect = onSelect;
+
+    /** @type {string} Current mode */
+    this.mode = SWITCH_MODES.includes(mode) ? mode : "step";
+
+    /** @type {number} Pointer X in client pixels */
+    this.x = window.innerWidth / 2;
+
+    /** @type {number} Pointer Y in client pixels */
+    this.y = window.innerHeight / 2;
+
+    /** @type {string} Scan phase: "row" (line sweeps down) or "column" (marker sweeps across) */
+    this._phase = "row";
+
+    /** @type {boolean} Whether key listeners are attached */
+    this._started = false;
+
+    /** @type {number|null} Animation frame of the auto-scan loop */
+    this._raf = null;
+
+    /** @type {number} Timestamp of the previous auto-scan frame */
+    this._lastT = 0;
+
+    /** @type {{line: HTMLElement, marker: HTMLElement}|null} Scan overlay */
+    this._overlay = null;
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+  }
+
+  // === Public API ==========================================================
+
+  /**
+   * Start listening to the keyboard
+   * @public
+   */
+  start() {
+    if (this._started) return;
+    this._started = true;
+    window.addEventListener("keydown", this._onKeyDown);
+    this._applyMode();
+  }
+
+  /**
+   * Stop listening and hide the scan overlay
+   * @public
+   */
+  stop() {
+    if (!this._started) return;
+    this._started = false;
+    window.removeEventListener("keydown", this._onKeyDown);
+    this._stopScan();
+  }
+
+  /**
+   * Change mode and scan options at runtime
+   *
+   * @param {Object} options
+   * @param {string} [options.mode] - "off", "step" or "scan"
+   * @param {boolean} [options.autoScan] - Sweep by itself in scan mode
+   * @param {number} [options.scanSpeed] - Auto-scan speed in px/s
+   * @public
+   */
+  configure({ mode, autoScan, scanSpeed } = {}) {
+    if (SWITCH_MODES.includes(mode)) this.mode = mode;
+    if (typeof autoScan === "boolean") this.autoScan = autoScan;
+    if (typeof scanSpeed === "number" && scanSpeed > 0) this.scanSpeed = scanSpeed;
+    if (this._started) this._applyMode();
+  }
+
+  /**
+   * Stop listening and remove the overlay for good
+   * @public
+   */
+  destroy() {
+    this.stop();
+    this._overlay?.line.remove();
+    this._overlay?.marker.remove();
+    this._overlay = null;
+  }
+
+  // === Input ===============================================================
+
+  /** @private */
+  _onKeyDown(e) {
+    if (this.mode === "off") return;
+    // Leave typing in form fields alone
+    const tag = e.target && e.target.tagName;
+    if (tag === "INPUT" || tag === "TEXTAREA" || (e.target && e.target.isContentEditable)) return;
+
+    const action = Object.keys(this.keys).find((name) => this.keys[name].includes(e.key));
+    if (!action) return;
+
+    let handled = true;
+    if (action === "select") {
+      // Holding a switch down should not fire select over and over
+      if (!e.repeat) this._select();
+    } else if (this.mode === "step") {
+      const s = this.stepSize;
+      if (action === "up") this._moveTo(this.x, this.y - s);
+      else if (action === "down") this._moveTo(this.x, this.y + s);
+      else if (action === "left") this._moveTo(this.x - s, this.y);
+      else if (action === "right") this._moveTo(this.x + s, this.y);
+      else handled = false;
+    } else if (action === "next" && !this.autoScan) {
+      this._advanceScan(this.stepSize);
+    } else {
+      handled = false;
+    }
+
+    if (handled) e.preventDefault();
+  }
+
+  /** @private */
+  _select() {
+    if (this.mode === "scan" && this._phase === "row") {
+      // Lock the row; the marker now sweeps along it from the left
+      this._phase = "column";
+      this._moveTo(0, this.y);
+      return;
+    }
+
+    if (typeof this.onSelect === "function") this.onSelect(this.x, this.y, this.id);
+
+    if (this.mode === "scan") {
+      this._phase = "row";
+      this._moveTo(window.innerWidth / 2, 0);
+    }
+  }
+
+  /**
+   * Move the pointer, clamped to the viewport, and report it
+   * @private
+   */
+  _moveTo(x, y) {
+    this.x = Math.min(Math.max(x, 0), window.innerWidth);
+    this.y = Math.min(Math.max(y, 0), window.innerHeight);
+    this._renderOverlay();
+    if (typeof this.onMove === "function") this.onMove(this.x, this.y, this.id);
+  }
+
+  // === Scanning ============================================================
+
+  /** @private */
+  _applyMode() {
+    this._stopScan();
+    if (this.mode !== "scan") return;
+
+    this._phase = "row";
+    this._moveTo(window.innerWidth / 2, 0);
+    if (this.autoScan) {
+      this._lastT = performance.now();
+      this._scanLoop();
+    }
+  }
+
+  /** @private */
+  _stopScan() {
+    cancelAnimationFrame(this._raf);
+    this._raf = null;
+    this._renderOverlay();
+  }
+
+  /** @private */
+  _scanLoop() {
+    this._raf = requestAnimationFrame(() => this._scanLoop());
+    const now = performance.now();
+    // Clamp the step so a background tab does not jump across the screen
+    const dt = Math.min((now - this._lastT) / 1000, 0.1);
+    this._lastT = now;
+    this._advanceScan(this.scanSpeed * dt);
+  }
+
+  /**
+   * Move the scan along the current phase, wrapping at the screen edge
+   * @private
+   */
+  _advanceScan(distance) {
+    if (this._phase === "row") {
+      const y = this.y + distance;
+      this._moveTo(this.x, y > window.innerHeight ? 0 : y);
+    } else {
+      const x = this.x + distance;
+      this._moveTo(x > window.innerWidth ? 0 : x, this.y);
+    }
+  }
+
+  /**
+   * Draw the scan line and marker (hidden outside scan mode)
+   * @private
+   */
+  _renderOverlay() {
+    const scanning = this._started && this.mode === "scan";
+    if (!scanning && !this._overlay) return;
+
+    const overlay = this._overlay || (this._overlay = this._createOverlay());
+    overlay.line.style.display = scanning ? "" : "none";
+    overlay.marker.style.display = scanning && this._phase === "column" ? "" : "none";
+    overlay.line.style.transform = `translateY(${this.y - 2}px)`;
+    overlay.marker.style.transform = `translate(${this.x - 12}px, ${this.y - 12}px)`;
+  }
+
+  /** @private */
+  _createOverlay() {
+    const base = {
+      position: "fixed",
+      left: "0",
+      top: "0",
+      pointerEvents: "none",
+      zIndex: "10000",
+    };
+
+    const line = document.createElement("div");
+    Object.assign(line.style, base, {
+      width: "100%",
+      height: "4px",
+      background: "rgba(255, 255, 255, 0.8)",
+      boxShadow: "0 0 8px rgba(255, 255, 255, 0.8)",
+    });
+
+    const marker = document.createElement("div");
+    Object.assign(marker.style, base, {
+      width: "24px",
+      height: "24px",
+      boxSizing: "border-box",
+      border: "4px solid #fff",
+      borderRadius: "50%",
+      boxShadow: "0 0 8px rgba(0, 0, 0, 0.6)",
+    });
+
+    document.body.appendChild(line);
+    document.body.appendChild(marker);
+    return { line, marker };
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.SwitchInput = SwitchInput;
+}
+
+// ES6 module export
+export default SwitchInput;
+export { SwitchInput, SWITCH_MODES, SWITCH_KEYS };
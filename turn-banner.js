@@ -0,0 +1,168 @@
+/**
+ * Turn Banner - Shows whose turn it is and announces each new turn
+ *
+ * A pill at the top of the screen in the current user's identity colour
+ * ("Sam's turn"), with a bar that runs down while timed turns are ticking.
+ * Each new turn is announced with a short two-note chime synthesised with
+ * the Web Audio API, so no sound asset is needed.
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class TurnBanner
+ */
+
+class TurnBanner {
+  /**
+   * Create a new TurnBanner overlay
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.zIndex="10001"] - CSS z-index (above pointer overlays)
+   */
+  constructor({ zIndex = "10001" } = {}) {
+    this.zIndex = zIndex;
+
+    /** @type {HTMLElement|null} Banner element, created on first show() */
+    this._el = null;
+
+    /** @type {HTMLElement|null} Text inside the banner */
+    this._text = null;
+
+    /** @type {HTMLElement|null} Countdown bar inside the banner */
+    this._bar = null;
+
+    /** @type {AudioContext|null} Context for the chime, created on first cue() */
+    this._audio = null;
+  }
+
+  /**
+   * Show the banner for a turn
+   *
+   * @param {string} text - e.g. "Sam's turn"
+   * @param {string} color - CSS colour of the user
+   * @param {number|null} [remaining=null] - Time left in ms; shows the countdown bar
+   * @public
+   */
+  show(text, color, remaining = null) {
+    const el = this._el || this._create();
+    this._text.textContent = text;
+    el.style.background = color;
+    el.style.opacity = "1";
+
+    // Restart the countdown: jump to the time left, then run down to empty
+    const bar = this._bar;
+    bar.style.transition = "none";
+    bar.style.display = remaining ? "" : "none";
+    if (remaining) {
+      bar.style.transform = "scaleX(1)";
+      void bar.offsetWidth;
+      bar.style.transition = `transform ${remaining}ms linear`;
+      bar.style.transform = "scaleX(0)";
+    }
+  }
+
+  /**
+   * Hide the banner
+   * @public
+   */
+  hide() {
+    if (this._el) this._el.style.opacity = "0";
+  }
+
+  /**
+   * Play the new-turn chime
+   *
+   * @param {number} [volume=1] - Volume (0.0 to 1.0); 0 plays nothing
+   * @public
+   */
+  cue(volume = 1) {
+    if (volume <= 0) return;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    try {
+      if (!this._audio) this._audio = new AudioContextClass();
+      const ctx = this._audio;
+      if (ctx.state === "suspended") ctx.resume();
+
+      // Rising fifth: C5 then G5
+      [523.25, 783.99].forEach((frequency, i) => {
+        const start = ctx.currentTime + i * 0.14;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = "sine";
+        osc.frequency.value = frequency;
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(0.25 * volume, start + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.4);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(start);
+        osc.stop(start + 0.45);
+      });
+    } catch (e) {
+      console.warn("[TurnBanner] Could not play turn cue:", e);
+    }
+  }
+
+  /**
+   * Remove the banner and close the audio context
+   * @public
+   */
+  destroy() {
+    this._el?.remove();
+    this._el = null;
+    this._audio?.close?.();
+    this._audio = null;
+  }
+
+  /** @private */
+  _create() {
+    const el = document.createElement("div");
+    Object.assign(el.style, {
+      position: "fixed",
+      top: "16px",
+      left: "50%",
+      transform: "translateX(-50%)",
+      minWidth: "160px",
+      padding: "8px 20px 10px",
+      borderRadius: "20px",
+      font: "700 18px/1.3 system-ui, sans-serif",
+      color: "#111",
+      textAlign: "center",
+      overflow: "hidden",
+      pointerEvents: "none",
+      zIndex: this.zIndex,
+      boxShadow: "0 2px 10px rgba(0, 0, 0, 0.4)",
+      transition: "opacity 0.3s, background 0.3s",
+      opacity: "0",
+    });
+
+    const text = document.createElement("div");
+    const bar = document.createElement("div");
+    Object.assign(bar.style, {
+      position: "absolute",
+      left: "0",
+      bottom: "0",
+      width: "100%",
+      height: "4px",
+      background: "rgba(0, 0, 0, 0.35)",
+      transformOrigin: "left",
+    });
+
+    el.appendChild(text);
+    el.appendChild(bar);
+    document.body.appendChild(el);
+
+    this._el = el;
+    this._text = text;
+    this._bar = bar;
+    return el;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.TurnBanner = TurnBanner;
+}
+
+// ES6 module export
+export default TurnBanner;
+export { TurnBanner };
@@ -0,0 +1,218 @@
+/**
+ * Turn Taking - Shared "one user at a time" mode for group sessions
+ *
+ * While turn taking is on, only the pointers of the user whose turn it is
+ * drive the effect; everyone else's pointer is shown ghosted (see
+ * InputManager.setTurnUser()). The state is shared through Firebase:
+ *
+ *   turns  - {enabled, current, interval, since}
+ *
+ * `current` is a user key ("host", "participant", ...), `interval` the turn
+ * length in ms (0 = turns only change when the host advances them) and
+ * `since` the Date.now() timestamp at which the current turn started.
+ *
+ * Only the host writes the state and only the host's client runs the turn
+ * timer, so turns never advance twice when several clients are connected.
+ * The turn order is the users known to the participant identity, sorted by
+ * key.
+ *
+ * Events (see EventEmitter):
+ * - "change"  ({turnChanged})  - State changed; turnChanged is true when a
+ *                                different user now has the turn
+ *
+ * @author Squidly Team
+ * @version 1.0.0
+ * @class TurnTaking
+ * @extends EventEmitter
+ */
+
+import EventEmitter from "./event-emitter.js";
+
+/**
+ * Turn lengths (ms) the host's interval icon cycles through; 0 means the
+ * host advances turns by hand
+ * @constant {number[]}
+ */
+const TURN_INTERVALS = [0, 15000, 30000, 60000];
+
+class TurnTaking extends EventEmitter {
+  /**
+   * Create a new TurnTaking model
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.role="host"] - session_info.user of this client
+   * @param {Object|null} [options.identity=null] - ParticipantIdentity listing the session's users
+   */
+  constructor({ role = "host", identity = null } = {}) {
+    super();
+
+    /** @type {string} User of this client ("host" or "participant") */
+    this.role = role;
+
+    /** @type {Object|null} ParticipantIdentity listing the session's users */
+    this.identity = identity;
+
+    /** @type {boolean} Whether turn taking is on */
+    this.enabled = false;
+
+    /** @type {string|null} User whose turn it is */
+    this.current = null;
+
+    /** @type {number} Turn length in ms (0 = host advances by hand) */
+    this.interval = 30000;
+
+    /** @type {number} Date.now() when the current turn started */
+    this.since = 0;
+
+    /** @type {number|null} Host-side timer that advances the turn */
+    this._timer = null;
+  }
+
+  // === Setup ===============================================================
+
+  /**
+   * Start listening to the shared turn state
+   * @public
+   */
+  watch() {
+    SquidlyAPI.firebaseOnValue("turns", (value) => {
+      const state = value && typeof value === "object" ? value : {};
+      const previous = this.enabled ? this.current : null;
+
+      this.enabled = state.enabled === true;
+      this.current = typeof state.current === "string" ? state.current : null;
+      this.interval =
+        typeof state.interval === "number" && state.interval >= 0 ? state.interval : 30000;
+      this.since = typeof state.since === "number" ? state.since : Date.now();
+
+      this._schedule();
+      this.emit("change", { turnChanged: (this.enabled ? this.current : null) !== previous });
+    });
+  }
+
+  // === Queries =============================================================
+
+  /**
+   * Whether this client is the session host
+   * @returns {boolean}
+   * @public
+   */
+  isHost() {
+    return this.role === "host";
+  }
+
+  /**
+   * User whose pointers drive the effect
+   *
+   * @returns {string|null} The current user, or null when turn taking is off
+   *   (everyone drives the effect)
+   * @public
+   */
+  getTurnUser() {
+    return this.enabled ? this.current : null;
+  }
+
+  /**
+   * Users in turn order
+   * @returns {string[]}
+   * @public
+   */
+  getUsers() {
+    const users = this.identity ? Object.keys(this.identity.users).sort() : [];
+    return users.length ? users : [this.role];
+  }
+
+  /**
+   * User who gets the turn after the current one
+   * @returns {string}
+   * @public
+   */
+  getNextUser() {
+    const users = this.getUsers();
+    return users[(users.indexOf(this.current) + 1) % users.length];
+  }
+
+  /**
+   * Time left in the current turn
+   *
+   * @returns {number|null} Milliseconds, or null when turns do not run on a timer
+   * @public
+   */
+  getRemaining() {
+    if (!this.enabled || !this.interval) return null;
+    return Math.max(0, this.since + this.interval - Date.now());
+  }
+
+  // === Actions (host only) =================================================
+
+  /**
+   * Turn turn taking on, starting with the first user
+   *
+   * @param {number} [interval=this.interval] - Turn length in ms (0 = advance by hand)
+   * @public
+   */
+  start(interval = this.interval) {
+    this._write({ enabled: true, current: this.getUsers()[0], interval });
+  }
+
+  /**
+   * Turn turn taking off; everyone drives the effect again
+   * @public
+   */
+  stop() {
+    this._write({ enabled: false, current: null, interval: this.interval });
+  }
+
+  /**
+   * Give the turn to the next user in order
+   * @public
+   */
+  advance() {
+    if (!this.enabled) return;
+    this._write({ enabled: true, current: this.getNextUser(), interval: this.interval });
+  }
+
+  /**
+   * Change the turn length; a running turn restarts its timer
+   *
+   * @param {number} interval - Turn length in ms (0 = advance by hand)
+   * @public
+   */
+  setTurnLength(interval) {
+    this._write({ enabled: this.enabled, current: this.current, interval });
+  }
+
+  // === Internals ===========================================================
+
+  /** @private */
+  _write({ enabled, current, interval }) {
+    if (!this.isHost()) return;
+    SquidlyAPI.firebaseSet("turns", {
+      enabled,
+      current: current || null,
+      interval: Math.max(0, interval || 0),
+      since: Date.now(),
+    });
+  }
+
+  /**
+   * (Re)start the host's timer for the current turn
+   * @private
+   */
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    const remaining = this.getRemaining();
+    if (!this.isHost() || remaining === null) return;
+    this._timer = setTimeout(() => this.advance(), remaining);
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.TurnTaking = TurnTaking;
+}
+
+// ES6 module export
+export default TurnTaking;
+export { TurnTaking, TURN_INTERVALS };